@@ -0,0 +1,75 @@
+import { NameError } from './errors.js';
+
+export const recordEvents = ['create', 'update', 'remove'];
+
+/**
+ * A minimal event emitter, used by models and schemas to notify subscribers
+ * about record changes.
+ */
+export class EventEmitter {
+  #eventNames;
+  #listeners;
+
+  constructor(eventNames = []) {
+    this.#eventNames = eventNames;
+    this.#listeners = new Map(eventNames.map(eventName => [eventName, []]));
+  }
+
+  /**
+   * Adds a listener for the given event.
+   * @param {String} eventName The name of the event.
+   * @param {Function} listener A function to be called with the event data.
+   * @param {Object} options An object with options for the listener.
+   * @param {Boolean} options.once Whether to remove the listener after its
+   * first call.
+   * @returns The event emitter.
+   */
+  on(eventName, listener, { once = false } = {}) {
+    this.#validateEventName(eventName);
+    if (typeof listener !== 'function')
+      throw new TypeError(`Listener for event ${eventName} is not a function.`);
+    this.#listeners.get(eventName).push({ listener, once });
+    return this;
+  }
+
+  /**
+   * Removes a listener from the given event.
+   * @param {String} eventName The name of the event.
+   * @param {Function} listener The listener to remove.
+   * @returns The event emitter.
+   */
+  off(eventName, listener) {
+    this.#validateEventName(eventName);
+    this.#listeners.set(
+      eventName,
+      this.#listeners.get(eventName).filter(l => l.listener !== listener)
+    );
+    return this;
+  }
+
+  /**
+   * Calls all listeners of the given event with the given data.
+   * @param {String} eventName The name of the event.
+   * @param {*} data The data to pass to the listeners.
+   * @returns The event emitter.
+   */
+  emit(eventName, data) {
+    this.#validateEventName(eventName);
+    // Iterate over a copy, so that listeners can be safely added or removed
+    // while emitting.
+    const listeners = [...this.#listeners.get(eventName)];
+    this.#listeners.set(
+      eventName,
+      this.#listeners.get(eventName).filter(l => !l.once)
+    );
+    listeners.forEach(({ listener }) => listener(data));
+    return this;
+  }
+
+  // Private
+
+  #validateEventName(eventName) {
+    if (!this.#eventNames.includes(eventName))
+      throw new NameError(`Event ${eventName} is not a valid event.`);
+  }
+}
@@ -1,4 +1,4 @@
-import { isOptional, standardTypes } from './types.js';
+import { isOptional, isEnumOf, standardTypes } from './types.js';
 import symbols from './symbols.js';
 
 const { $isDateField } = symbols;
@@ -6,21 +6,80 @@ const { $isDateField } = symbols;
 class Field {
   #name;
   #type;
+  #typeName;
+  #required;
+  #defaultValue;
+  #validators;
+  #values;
   #isDateField = false;
 
-  constructor({ name, type }) {
+  constructor({
+    name,
+    type,
+    typeName = null,
+    values = null,
+    required = false,
+    defaultValue,
+    validators = {},
+  }) {
     this.#name = name;
     this.#type = isOptional(type);
+    this.#typeName = typeName;
+    this.#values = values ? Object.freeze([...values]) : null;
+    this.#required = Boolean(required);
+    this.#defaultValue = defaultValue;
+    this.#validators = new Map(Object.entries(validators));
   }
 
   get name() {
     return this.#name;
   }
 
+  get typeName() {
+    return this.#typeName;
+  }
+
+  /**
+   * Returns the allowed values of an enum field or `null` for other fields.
+   */
+  get values() {
+    return this.#values;
+  }
+
+  get required() {
+    return this.#required;
+  }
+
   typeCheck(value) {
     return this.#type(value);
   }
 
+  /**
+   * Checks the given value against the field's validation rules. Empty values
+   * are not validated.
+   * @param {*} value The value to validate.
+   * @returns {Array} A tuple of a boolean indicating if the value is valid and
+   * the name of the first validation rule that failed, if any.
+   */
+  validate(value) {
+    if (value === null || value === undefined) return [true, null];
+    for (const [ruleName, rule] of this.#validators)
+      if (!rule(value)) return [false, ruleName];
+    return [true, null];
+  }
+
+  /**
+   * Returns the default value of the field, if any.
+   * @param {Object} recordData The data of the record being created. Passed
+   * to the default value if it is a function.
+   * @returns The default value or `undefined` if there is none.
+   */
+  getDefaultValue(recordData) {
+    if (typeof this.#defaultValue === 'function')
+      return this.#defaultValue(recordData);
+    return this.#defaultValue;
+  }
+
   get [$isDateField]() {
     return this.#isDateField;
   }
@@ -34,12 +93,32 @@ class Field {
 Object.entries(standardTypes).forEach(([typeName, standardType]) => {
   const { type } = standardType;
   if (typeName === 'date') {
-    Field[typeName] = name => {
-      const field = new Field({ name, type });
+    Field[typeName] = (name, options) => {
+      const field = new Field({ name, type, typeName, ...options });
       field[$isDateField] = true;
       return field;
     };
-  } else Field[typeName] = name => new Field({ name, type });
+  } else
+    Field[typeName] = (name, options) =>
+      new Field({ name, type, typeName, ...options });
 });
 
+Field.enum = (name, { values, ...options } = {}) => {
+  if (
+    !Array.isArray(values) ||
+    !values.length ||
+    new Set(values).size !== values.length
+  )
+    throw new TypeError(
+      `Field ${name} values must be a non-empty array of unique values.`
+    );
+  return new Field({
+    name,
+    type: isEnumOf(values),
+    typeName: 'enum',
+    values,
+    ...options,
+  });
+};
+
 export { Field };
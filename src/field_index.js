@@ -0,0 +1,191 @@
+// Dates are indexed by their timestamp, so that they can be compared by value.
+const toKey = value => (value instanceof Date ? value.getTime() : value);
+
+// Array values (e.g. array fields or toMany relationships) are indexed by
+// each of their elements.
+const toKeys = value =>
+  Array.isArray(value) ? value.map(toKey) : [toKey(value)];
+
+const isEmpty = key => key === null || key === undefined;
+
+/**
+ * An index mapping field values to record ids. Supports equality lookups.
+ */
+export class HashIndex {
+  #buckets;
+
+  constructor() {
+    this.#buckets = new Map();
+  }
+
+  add(id, value) {
+    toKeys(value).forEach(key => {
+      if (!this.#buckets.has(key)) this.#buckets.set(key, new Set());
+      this.#buckets.get(key).add(id);
+    });
+  }
+
+  remove(id, value) {
+    toKeys(value).forEach(key => {
+      const bucket = this.#buckets.get(key);
+      if (!bucket) return;
+      bucket.delete(id);
+      if (!bucket.size) this.#buckets.delete(key);
+    });
+  }
+
+  /**
+   * Returns the ids of all records whose value matches the given value.
+   * @param {*} value The value to look up.
+   * @returns {Array} An array of record ids.
+   */
+  get(value) {
+    const bucket = this.#buckets.get(toKey(value));
+    return bucket ? [...bucket] : [];
+  }
+}
+
+/**
+ * An index keeping record ids sorted by their field values. Supports equality
+ * and range lookups.
+ */
+export class SortedIndex {
+  #entries; // Array of [key, id] tuples, sorted by key
+  #emptyIds; // Ids of records with empty values, which cannot be sorted
+
+  constructor() {
+    this.#entries = [];
+    this.#emptyIds = new Set();
+  }
+
+  add(id, value) {
+    toKeys(value).forEach(key => {
+      if (isEmpty(key)) this.#emptyIds.add(id);
+      else this.#entries.splice(this.#upperBound(key), 0, [key, id]);
+    });
+  }
+
+  remove(id, value) {
+    toKeys(value).forEach(key => {
+      if (isEmpty(key)) {
+        this.#emptyIds.delete(id);
+        return;
+      }
+      const start = this.#lowerBound(key);
+      const offset = this.#entries
+        .slice(start, this.#upperBound(key))
+        .findIndex(([, entryId]) => entryId === id);
+      if (offset !== -1) this.#entries.splice(start + offset, 1);
+    });
+  }
+
+  /**
+   * Returns the ids of all records whose value matches the given value.
+   * @param {*} value The value to look up.
+   * @returns {Array} An array of record ids.
+   */
+  get(value) {
+    const key = toKey(value);
+    if (isEmpty(key)) return [...this.#emptyIds];
+    return this.#idsBetween(this.#lowerBound(key), this.#upperBound(key));
+  }
+
+  /**
+   * Returns the ids of all records whose value is within the given range,
+   * sorted by value. Records with empty values are never matched.
+   * @param {Object} range An object with any of the following bounds:
+   * - `gt`: Values must be greater than this value.
+   * - `gte`: Values must be greater than or equal to this value.
+   * - `lt`: Values must be less than this value.
+   * - `lte`: Values must be less than or equal to this value.
+   * @returns {Array} An array of record ids.
+   */
+  range({ gt, gte, lt, lte } = {}) {
+    let start = 0;
+    let end = this.#entries.length;
+    if (gte !== undefined) start = this.#lowerBound(toKey(gte));
+    else if (gt !== undefined) start = this.#upperBound(toKey(gt));
+    if (lte !== undefined) end = this.#upperBound(toKey(lte));
+    else if (lt !== undefined) end = this.#lowerBound(toKey(lt));
+    return this.#idsBetween(start, end);
+  }
+
+  // Private
+
+  #idsBetween(start, end) {
+    // Array values may add the same id more than once
+    const ids = new Set(this.#entries.slice(start, end).map(([, id]) => id));
+    return [...ids];
+  }
+
+  // Index of the first entry with a key greater than or equal to the given key
+  #lowerBound(key) {
+    let [low, high] = [0, this.#entries.length];
+    while (low < high) {
+      const mid = (low + high) >>> 1;
+      if (this.#entries[mid][0] < key) low = mid + 1;
+      else high = mid;
+    }
+    return low;
+  }
+
+  // Index of the first entry with a key greater than the given key
+  #upperBound(key) {
+    let [low, high] = [0, this.#entries.length];
+    while (low < high) {
+      const mid = (low + high) >>> 1;
+      if (this.#entries[mid][0] <= key) low = mid + 1;
+      else high = mid;
+    }
+    return low;
+  }
+}
+
+/**
+ * An index mapping combinations of field values to a single record id. Used to
+ * enforce unique constraints. Combinations containing empty values are never
+ * indexed, so they are not considered duplicates of each other.
+ */
+export class UniqueIndex {
+  #ids;
+
+  constructor() {
+    this.#ids = new Map();
+  }
+
+  add(id, values) {
+    const key = UniqueIndex.#toUniqueKey(values);
+    if (key !== null) this.#ids.set(key, id);
+  }
+
+  remove(id, values) {
+    const key = UniqueIndex.#toUniqueKey(values);
+    if (key !== null && this.#ids.get(key) === id) this.#ids.delete(key);
+  }
+
+  /**
+   * Returns the id of the record matching the given combination of values.
+   * @param {Array} values The values to look up, in constraint field order.
+   * @returns The record id or `undefined` if there is no match.
+   */
+  get(values) {
+    const key = UniqueIndex.#toUniqueKey(values);
+    return key === null ? undefined : this.#ids.get(key);
+  }
+
+  // Private
+
+  static #toUniqueKey(values) {
+    if (values.some(isEmpty)) return null;
+    return JSON.stringify(
+      values.map(value =>
+        Array.isArray(value) ? value.map(toKey) : toKey(value)
+      )
+    );
+  }
+}
+
+export const indexTypes = {
+  hash: HashIndex,
+  sorted: SortedIndex,
+};
@@ -0,0 +1,52 @@
+import { randomUUID } from 'node:crypto';
+import { mkdir, readFile, rename, rm, writeFile } from 'node:fs/promises';
+import { dirname } from 'node:path';
+
+/**
+ * Reads the given file as text.
+ * @param {String} filePath The path of the file.
+ * @returns {Promise} A promise resolving to the file's content or `null` if
+ * the file does not exist.
+ */
+export const readFileIfExists = async filePath => {
+  try {
+    return await readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+};
+
+/**
+ * Writes the given content to a file atomically, by writing to a temporary
+ * file and renaming it, so that the file is never left partially written.
+ * @param {String} filePath The path of the file.
+ * @param {String} content The content to write.
+ * @returns {Promise} A promise resolving once the file is written.
+ */
+export const writeFileAtomically = async (filePath, content) => {
+  const tempFilePath = `${filePath}.${randomUUID()}.tmp`;
+  await mkdir(dirname(filePath), { recursive: true });
+  try {
+    await writeFile(tempFilePath, content);
+    await rename(tempFilePath, filePath);
+  } catch (error) {
+    await rm(tempFilePath, { force: true });
+    throw error;
+  }
+};
+
+/**
+ * Creates a queue of asynchronous writes, so that each write only starts once
+ * the previous ones are done. Failed writes do not prevent subsequent ones.
+ * @returns {Function} A function that adds the given write function to the
+ * queue, returning a promise of its result.
+ */
+export const createWriteQueue = () => {
+  let writes = Promise.resolve();
+  return write => {
+    const result = writes.then(write);
+    writes = result.catch(() => {});
+    return result;
+  };
+};
@@ -0,0 +1,200 @@
+import { rm } from 'node:fs/promises';
+import { join } from 'node:path';
+import {
+  createWriteQueue,
+  readFileIfExists,
+  writeFileAtomically,
+} from './file_utils.js';
+import { applyStorageChanges } from './storage.js';
+
+const formats = {
+  json: {
+    extension: 'json',
+    parse: content => JSON.parse(content),
+    stringify: records => `${JSON.stringify(records, null, 2)}\n`,
+  },
+  ndjson: {
+    extension: 'ndjson',
+    parse: content =>
+      content
+        .split('\n')
+        .filter(line => line.trim())
+        .map(line => JSON.parse(line)),
+    stringify: records =>
+      records.map(record => `${JSON.stringify(record)}\n`).join(''),
+  },
+};
+
+/**
+ * Stores the records of each model in a directory, using one JSON or NDJSON
+ * file per model, named after the model (e.g. `data/Person.json`). Files are
+ * written atomically, by writing to a temporary file and renaming it.
+ */
+export class FileSystemStorage {
+  #directory;
+  #format;
+  #debounce;
+  #modelNames; // Names of models whose files are removed when clearing
+  #recordsByModel; // Map of model names to maps of record ids to records
+  #changedModels; // Names of models changed since the last write
+  #timeout;
+  #enqueue; // Queues writes, so that files are written in order
+  #writeError; // First error of a debounced write, thrown by flush()
+
+  /**
+   * Creates a new filesystem storage.
+   * @param {Object} options An object with options for the storage.
+   * @param {String} options.directory The directory of the model files.
+   * @param {String} options.format One of `'json'` or `'ndjson'`.
+   * @param {Number} options.debounce Milliseconds to wait after the last
+   * saved changes before writing the files of changed models.
+   * @param {Array} options.models Names of models whose files are removed
+   * when clearing, in addition to those of loaded or saved models.
+   */
+  constructor({
+    directory = './data',
+    format = 'json',
+    debounce = 100,
+    models = [],
+  } = {}) {
+    if (!formats[format])
+      throw new RangeError(
+        `Invalid storage format: ${format}. Expected one of: ${Object.keys(
+          formats
+        ).join(', ')}.`
+      );
+    if (typeof debounce !== 'number' || debounce < 0)
+      throw new TypeError('Storage debounce must be a non-negative number.');
+    if (
+      !Array.isArray(models) ||
+      models.some(modelName => typeof modelName !== 'string')
+    )
+      throw new TypeError('Storage models must be an array of model names.');
+
+    this.#directory = directory;
+    this.#format = formats[format];
+    this.#debounce = debounce;
+    this.#modelNames = new Set(models);
+    this.#recordsByModel = new Map();
+    this.#changedModels = new Set();
+    this.#timeout = null;
+    this.#enqueue = createWriteQueue();
+    this.#writeError = null;
+  }
+
+  /**
+   * Reads the records of the given model from its file.
+   * @param {Model} model The model to load the records of.
+   * @returns {Promise} A promise resolving to an array of records or `null`
+   * if the model has no file.
+   */
+  load(model) {
+    return this.#loadModel(model.name);
+  }
+
+  /**
+   * Applies the given changes and schedules writing the files of changed
+   * models, once no changes have been saved for the debounce period.
+   * @param {Array} changes An array of changes.
+   * @returns {Promise} A promise resolving once the changes are applied,
+   * before the files are written (see `flush()`).
+   */
+  async save(changes) {
+    // Models that have not been loaded are read first, so that their
+    // existing records are kept.
+    const modelNames = [...new Set(changes.map(({ model }) => model))];
+    await Promise.all(
+      modelNames
+        .filter(modelName => !this.#recordsByModel.has(modelName))
+        .map(modelName => this.#loadModel(modelName))
+    );
+    applyStorageChanges(this.#recordsByModel, changes).forEach(modelName =>
+      this.#changedModels.add(modelName)
+    );
+    clearTimeout(this.#timeout);
+    this.#timeout = setTimeout(
+      () => this.#writeChangedModels(),
+      this.#debounce
+    );
+  }
+
+  /**
+   * Writes the files of changed models without waiting for the debounce
+   * period.
+   * @returns {Promise} A promise resolving once all files are written or
+   * rejecting with the first error that occurred while writing files since
+   * the last call.
+   */
+  async flush() {
+    if (this.#changedModels.size) this.#writeChangedModels();
+    await this.#enqueue(() => {});
+    if (this.#writeError) {
+      const error = this.#writeError;
+      this.#writeError = null;
+      throw error;
+    }
+  }
+
+  /**
+   * Removes the files of all loaded or saved models, as well as those of the
+   * models given via the `models` option. Other files in the directory are
+   * never removed.
+   * @returns {Promise} A promise resolving once the files are removed.
+   */
+  clear() {
+    clearTimeout(this.#timeout);
+    this.#recordsByModel.forEach((_, modelName) =>
+      this.#modelNames.add(modelName)
+    );
+    this.#recordsByModel.clear();
+    this.#changedModels.clear();
+    const modelNames = [...this.#modelNames];
+    return this.#enqueue(() =>
+      Promise.all(
+        modelNames.map(modelName =>
+          rm(this.#getFilePath(modelName), { force: true })
+        )
+      )
+    );
+  }
+
+  // Private
+
+  #writeChangedModels() {
+    clearTimeout(this.#timeout);
+    // Serialize synchronously, so that later changes are not included.
+    const documents = [...this.#changedModels].map(modelName => [
+      modelName,
+      this.#format.stringify([...this.#recordsByModel.get(modelName).values()]),
+    ]);
+    this.#changedModels.clear();
+    this.#enqueue(() =>
+      Promise.all(
+        documents.map(([modelName, content]) =>
+          writeFileAtomically(this.#getFilePath(modelName), content)
+        )
+      )
+    ).catch(error => {
+      if (!this.#writeError) this.#writeError = error;
+    });
+  }
+
+  #getFilePath(modelName) {
+    return join(this.#directory, `${modelName}.${this.#format.extension}`);
+  }
+
+  async #loadModel(modelName) {
+    const filePath = this.#getFilePath(modelName);
+    const content = await readFileIfExists(filePath);
+    const records = content === null ? null : this.#format.parse(content);
+    if (records !== null && !Array.isArray(records))
+      throw new TypeError(`File ${filePath} does not contain an array.`);
+    this.#recordsByModel.set(
+      modelName,
+      new Map((records || []).map(record => [record.id, record]))
+    );
+    return records;
+  }
+}
+
+export default FileSystemStorage;
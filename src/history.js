@@ -0,0 +1,99 @@
+/**
+ * Keeps track of the changes made to a schema's records, so that they can be
+ * undone and redone. Each entry contains all the changes made by a single
+ * operation or transaction.
+ */
+export class History {
+  #past;
+  #future;
+  #checkpoints;
+
+  constructor() {
+    this.#past = [];
+    this.#future = [];
+    this.#checkpoints = new Map();
+  }
+
+  /**
+   * Adds a new entry, discarding any entries that could be redone.
+   * @param {Array} changes The changes of the entry, as registered in a
+   * transaction.
+   */
+  push(changes) {
+    if (!changes.length) return;
+    this.#past.push(changes);
+    this.#future = [];
+  }
+
+  /**
+   * Reverts the changes of the last entry.
+   * @returns {Array} The descriptions of the reverted changes or `null` if
+   * there is nothing to undo.
+   */
+  undo() {
+    if (!this.#past.length) return null;
+    const changes = this.#past.pop();
+    [...changes].reverse().forEach(({ undo }) => undo());
+    this.#future.push(changes);
+    return History.#describe(changes);
+  }
+
+  /**
+   * Reapplies the changes of the last undone entry.
+   * @returns {Array} The descriptions of the reapplied changes or `null` if
+   * there is nothing to redo.
+   */
+  redo() {
+    if (!this.#future.length) return null;
+    const changes = this.#future.pop();
+    changes.forEach(({ redo }) => redo());
+    this.#past.push(changes);
+    return History.#describe(changes);
+  }
+
+  /**
+   * Marks the current position in the history with the given name.
+   * @param {String} name The name of the checkpoint.
+   */
+  checkpoint(name) {
+    if (typeof name !== 'string' || !name)
+      throw new TypeError('Checkpoint name must be a non-empty string.');
+    const position = this.#past.length;
+    this.#checkpoints.set(name, [position, this.#past[position - 1]]);
+  }
+
+  /**
+   * Undoes or redoes entries until the history is at the position marked by
+   * the checkpoint with the given name.
+   * @param {String} name The name of the checkpoint.
+   */
+  restore(name) {
+    if (!this.#checkpoints.has(name))
+      throw new ReferenceError(`Checkpoint ${name} does not exist.`);
+    const [position, lastEntry] = this.#checkpoints.get(name);
+    // The checkpoint can only be reached if its entries have not been
+    // discarded by changes made after undoing them.
+    const entries = [...this.#past, ...[...this.#future].reverse()];
+    if (entries.length < position || entries[position - 1] !== lastEntry)
+      throw new ReferenceError(`Checkpoint ${name} can no longer be restored.`);
+    while (this.#past.length > position) this.undo();
+    while (this.#past.length < position) this.redo();
+  }
+
+  /**
+   * Gets the descriptions of the changes of all entries that can be undone
+   * (`past`) and redone (`future`), from oldest to newest, as well as the
+   * names of all checkpoints.
+   */
+  get entries() {
+    return {
+      past: this.#past.map(History.#describe),
+      future: [...this.#future].reverse().map(History.#describe),
+      checkpoints: [...this.#checkpoints.keys()],
+    };
+  }
+
+  static #describe(changes) {
+    return changes.map(({ description }) => description);
+  }
+}
@@ -0,0 +1,59 @@
+import { randomUUID } from 'node:crypto';
+import { isObject, slugify } from './utils.js';
+
+// Appends an increasing numeric suffix to the id until it is not taken.
+const deduplicate = (id, isTaken) => {
+  let uniqueId = id;
+  let suffix = 1;
+  while (isTaken(uniqueId)) {
+    suffix += 1;
+    uniqueId = `${id}-${suffix}`;
+  }
+  return uniqueId;
+};
+
+const idGenerators = {
+  uuid: () => () => randomUUID(),
+  increment: ({ prefix = '' }) => {
+    if (typeof prefix !== 'string')
+      throw new TypeError(`Increment id prefix ${prefix} is not a string.`);
+    let counter = 0;
+    return (recordData, isTaken) => {
+      let id;
+      do {
+        counter += 1;
+        id = `${prefix}${counter}`;
+      } while (isTaken(id));
+      return id;
+    };
+  },
+  slug: ({ field }) => {
+    if (typeof field !== 'string')
+      throw new TypeError(`Slug id field ${field} is not a string.`);
+    return (recordData, isTaken) =>
+      deduplicate(slugify(String(recordData[field] ?? '')), isTaken);
+  },
+};
+
+/**
+ * Creates an id generator for the given id strategy.
+ * @param {String|Object|Function} idStrategy One of the following:
+ * - `'uuid'`: Generates random UUIDs.
+ * - `'increment'` or `{ type: 'increment', prefix }`: Generates incrementing
+ * ids, optionally prefixed, skipping ids that are already taken.
+ * - `{ type: 'slug', field }`: Generates ids from the value of the given
+ * field, adding a numeric suffix to ids that are already taken.
+ * - A function that is called with the record data and returns an id.
+ * @returns {Function} A function that expects the record data and a function
+ * that checks if an id is taken and returns a new id.
+ */
+export const createIdGenerator = idStrategy => {
+  if (typeof idStrategy === 'function')
+    return recordData => idStrategy(recordData);
+  const { type, ...options } = isObject(idStrategy)
+    ? idStrategy
+    : { type: idStrategy };
+  if (!Object.keys(idGenerators).includes(type))
+    throw new TypeError(`Id strategy ${type} is not valid.`);
+  return idGenerators[type](options);
+};
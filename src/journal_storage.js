@@ -0,0 +1,175 @@
+import { appendFile, mkdir, rm, truncate, writeFile } from 'node:fs/promises';
+import { dirname, join } from 'node:path';
+import {
+  createWriteQueue,
+  readFileIfExists,
+  writeFileAtomically,
+} from './file_utils.js';
+import { applyStorageChanges } from './storage.js';
+
+/**
+ * Stores the records of all models in a directory, using a snapshot of all
+ * records (`snapshot.json`) and an append-only log of the changes saved since
+ * (`journal.ndjson`), with one create, update or remove operation per line.
+ */
+export class JournalStorage {
+  #snapshotPath;
+  #journalPath;
+  #recordsByModel; // Map of model names to maps of record ids to records
+  #sequence; // Sequence number of the last journaled operation
+  #replay; // Promise of the snapshot and journal being replayed
+  #enqueue; // Queues writes, so that files are written in order
+
+  /**
+   * Creates a new journal storage.
+   * @param {Object} options An object with options for the storage.
+   * @param {String} options.directory The directory of the snapshot and
+   * journal files.
+   */
+  constructor({ directory = './data' } = {}) {
+    this.#snapshotPath = join(directory, 'snapshot.json');
+    this.#journalPath = join(directory, 'journal.ndjson');
+    this.#recordsByModel = new Map();
+    this.#sequence = 0;
+    this.#replay = null;
+    this.#enqueue = createWriteQueue();
+  }
+
+  /**
+   * Gets the records of the given model, replaying the journal on top of the
+   * last snapshot the first time any records are loaded or saved.
+   * @param {Model} model The model to load the records of.
+   * @returns {Promise} A promise resolving to an array of records or `null`
+   * if the model has no records.
+   */
+  async load(model) {
+    await this.#replayJournal();
+    const records = this.#recordsByModel.get(model.name);
+    return records && records.size ? [...records.values()] : null;
+  }
+
+  /**
+   * Appends the given changes to the journal.
+   * @param {Array} changes An array of changes.
+   * @returns {Promise} A promise resolving once the journal is written.
+   */
+  async save(changes) {
+    await this.#replayJournal();
+    applyStorageChanges(this.#recordsByModel, changes);
+    const content = changes
+      .map(
+        change =>
+          `${JSON.stringify({ sequence: ++this.#sequence, ...change })}\n`
+      )
+      .join('');
+    return this.#enqueue(async () => {
+      await mkdir(dirname(this.#journalPath), { recursive: true });
+      await appendFile(this.#journalPath, content);
+    });
+  }
+
+  /**
+   * Removes the snapshot and the journal.
+   * @returns {Promise} A promise resolving once the files are removed.
+   */
+  async clear() {
+    await this.#replayJournal();
+    this.#recordsByModel.clear();
+    return this.#enqueue(() =>
+      Promise.all([
+        rm(this.#snapshotPath, { force: true }),
+        rm(this.#journalPath, { force: true }),
+      ])
+    );
+  }
+
+  /**
+   * Folds the journal into a fresh snapshot of all records and truncates the
+   * journal.
+   * @returns {Promise} A promise resolving once the files are written.
+   */
+  async compact() {
+    await this.#replayJournal();
+    // Take the snapshot synchronously, so that later changes are journaled.
+    const content = JSON.stringify({
+      sequence: this.#sequence,
+      data: Object.fromEntries(
+        [...this.#recordsByModel.entries()].map(([modelName, records]) => [
+          modelName,
+          [...records.values()],
+        ])
+      ),
+    });
+    return this.#enqueue(async () => {
+      await writeFileAtomically(this.#snapshotPath, content);
+      await writeFile(this.#journalPath, '');
+    });
+  }
+
+  // Private
+
+  #replayJournal() {
+    if (!this.#replay)
+      this.#replay = this.#readFiles().catch(error => {
+        // Allow loading to be retried, e.g. once the files are fixed.
+        this.#replay = null;
+        throw error;
+      });
+    return this.#replay;
+  }
+
+  async #readFiles() {
+    const [snapshotContent, journalContent] = await Promise.all([
+      readFileIfExists(this.#snapshotPath),
+      readFileIfExists(this.#journalPath),
+    ]);
+    const snapshot = snapshotContent
+      ? JSON.parse(snapshotContent)
+      : { sequence: 0, data: {} };
+    const lines = (journalContent || '').split('\n');
+    const lastLine = lines.pop();
+    const journaledOperations = lines
+      .filter(line => line.trim())
+      .map(line => JSON.parse(line));
+    if (lastLine.trim())
+      journaledOperations.push(
+        ...(await this.#repairLastLine(journalContent, lastLine))
+      );
+    // Operations folded into the snapshot may remain in the journal, if
+    // compaction was interrupted before the journal was truncated.
+    const operations = journaledOperations.filter(
+      ({ sequence }) => sequence > snapshot.sequence
+    );
+
+    Object.entries(snapshot.data).forEach(([modelName, records]) =>
+      this.#recordsByModel.set(
+        modelName,
+        new Map(records.map(record => [record.id, record]))
+      )
+    );
+    applyStorageChanges(this.#recordsByModel, operations);
+    this.#sequence = operations.length
+      ? operations[operations.length - 1].sequence
+      : snapshot.sequence;
+  }
+
+  // A crash while appending may leave the last line without a line break or
+  // partly written. The line break is restored or the partial line is
+  // removed, so that later operations are appended on a line of their own.
+  async #repairLastLine(journalContent, lastLine) {
+    let operation;
+    try {
+      operation = JSON.parse(lastLine);
+    } catch {
+      await truncate(
+        this.#journalPath,
+        Buffer.byteLength(journalContent) - Buffer.byteLength(lastLine)
+      );
+      return [];
+    }
+    await appendFile(this.#journalPath, '\n');
+    return [operation];
+  }
+}
+
+export default JournalStorage;
@@ -0,0 +1,124 @@
+import { applyStorageChanges } from './storage.js';
+
+/**
+ * A minimal in-memory implementation of the Web Storage API, used by default
+ * by the key-value storage.
+ */
+export class MemoryStore {
+  #items;
+
+  constructor() {
+    this.#items = new Map();
+  }
+
+  get length() {
+    return this.#items.size;
+  }
+
+  key(index) {
+    const keys = [...this.#items.keys()];
+    return index < keys.length ? keys[index] : null;
+  }
+
+  getItem(key) {
+    return this.#items.has(key) ? this.#items.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this.#items.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this.#items.delete(key);
+  }
+
+  clear() {
+    this.#items.clear();
+  }
+}
+
+/**
+ * Stores the records of each model as a JSON array under a single key of a
+ * key-value store implementing the Web Storage API (e.g. `localStorage`).
+ */
+export class KeyValueStorage {
+  #store;
+  #prefix;
+
+  /**
+   * Creates a new key-value storage.
+   * @param {Object} options An object with options for the storage.
+   * @param {Object} options.store A store implementing `getItem()`,
+   * `setItem()`, `removeItem()`, `key()` and `length`. Defaults to a new
+   * in-memory store.
+   * @param {String} options.prefix A prefix for the keys of all models.
+   */
+  constructor({ store = new MemoryStore(), prefix = 'jsiqle:' } = {}) {
+    ['getItem', 'setItem', 'removeItem', 'key'].forEach(methodName => {
+      if (typeof store[methodName] !== 'function')
+        throw new TypeError(`Store method ${methodName} is not a function.`);
+    });
+    if (typeof prefix !== 'string')
+      throw new TypeError('Storage prefix must be a string.');
+
+    this.#store = store;
+    this.#prefix = prefix;
+  }
+
+  /**
+   * Gets the stored records of the given model.
+   * @param {Model} model The model to load the records of.
+   * @returns {Array} An array of records or `null` if there are none.
+   */
+  load(model) {
+    return this.#read(model.name);
+  }
+
+  /**
+   * Stores the given changes, rewriting the key of each changed model.
+   * @param {Array} changes An array of changes.
+   */
+  save(changes) {
+    const recordsByModel = new Map();
+    const modelNames = [...new Set(changes.map(({ model }) => model))];
+    modelNames.forEach(modelName => {
+      const records = this.#read(modelName) || [];
+      recordsByModel.set(
+        modelName,
+        new Map(records.map(record => [record.id, record]))
+      );
+    });
+    applyStorageChanges(recordsByModel, changes);
+    recordsByModel.forEach((records, modelName) =>
+      this.#store.setItem(
+        this.#getKey(modelName),
+        JSON.stringify([...records.values()])
+      )
+    );
+  }
+
+  /**
+   * Removes the keys of all models, i.e. all keys with the storage's prefix.
+   */
+  clear() {
+    // Keys are collected first, as removing items changes their indexes.
+    Array.from({ length: this.#store.length }, (_, index) =>
+      this.#store.key(index)
+    )
+      .filter(key => key.startsWith(this.#prefix))
+      .forEach(key => this.#store.removeItem(key));
+  }
+
+  // Private
+
+  #getKey(modelName) {
+    return `${this.#prefix}${modelName}`;
+  }
+
+  #read(modelName) {
+    const content = this.#store.getItem(this.#getKey(modelName));
+    return content === null ? null : JSON.parse(content);
+  }
+}
+
+export default KeyValueStorage;
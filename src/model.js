@@ -1,10 +1,15 @@
 import { Field } from './field.js';
 import RecordSet from './record_set.js';
+import QueryBuilder from './query_builder.js';
 import RecordHandler from './record_handler.js';
+import { EventEmitter, recordEvents } from './event_emitter.js';
+import { indexTypes, UniqueIndex } from './field_index.js';
+import { createIdGenerator } from './id_strategy.js';
+import { compileOrder } from './query.js';
 import { NameError, DuplicationError } from './errors.js';
 import symbols from './symbols.js';
 import { standardTypes } from './types.js';
-import { validateName } from './utils.js';
+import { validateName, isSameValue, isObject, capitalize } from './utils.js';
 
 const {
   $fields,
@@ -21,13 +26,37 @@ const {
   $addRelationshipAsProperty,
   $getField,
   $getProperty,
-  $instances,
+  $schema,
+  $schemaObject,
   $set,
   $delete,
+  $emit,
+  $handleFieldUpdate,
+  $types,
+  $predicates,
+  $addPredicate,
+  $indexes,
+  $checkUniqueness,
+  $validateRemoval,
+  $removeReferences,
+  $transaction,
+  $ordinals,
+  $restoreRecordOrder,
+  $recordChange,
+  $recordValue,
 } = symbols;
 
 const allStandardTypes = Object.keys(standardTypes);
 
+const allHooks = [
+  'beforeCreate',
+  'afterCreate',
+  'beforeUpdate',
+  'afterUpdate',
+  'beforeRemove',
+  'afterRemove',
+];
+
 export class Model {
   #records;
   #recordHandler;
@@ -37,25 +66,40 @@ export class Model {
   #relationships;
   #cachedProperties;
   #scopes;
+  #predicates;
+  #indexes;
+  #uniques;
+  #idGenerator;
   #emptyRecordTemplate;
+  #hooks;
+  #schema;
+  #emitter;
+  #pendingChanges;
+  #ordinals; // Map of record ids to the order in which they were created
+  #nextOrdinal;
+  #unorderedFrom; // Lowest ordinal of records restored out of order, if any
 
-  static #instances = new Map();
-
-  constructor({
-    name,
-    fields = {},
-    properties = {},
-    methods = {},
-    scopes = {},
-  } = {}) {
+  constructor(
+    {
+      name,
+      fields = {},
+      properties = {},
+      methods = {},
+      scopes = {},
+      hooks = {},
+      indexes = {},
+      uniques = [],
+      idStrategy = null,
+    } = {},
+    schema = null
+  ) {
     this.name = name;
-
-    if (Model.#instances.has(name))
-      throw new DuplicationError(`A model named ${name} already exists.`);
+    this.#schema = schema;
 
     // Instantiate this before the record storage, so it can be
     // queried if needed.
     this.#scopes = new Map();
+    this.#predicates = new Map();
 
     // Create the record storage and handler
     this.#records = new RecordSet({ model: this });
@@ -67,6 +111,15 @@ export class Model {
     this.#methods = new Map();
     this.#relationships = new Map();
     this.#cachedProperties = new Set();
+    this.#hooks = new Map();
+    this.#indexes = new Map();
+    this.#uniques = new Map();
+    this.#idGenerator = null;
+    this.#emitter = new EventEmitter(recordEvents);
+    this.#pendingChanges = null;
+    this.#ordinals = new Map();
+    this.#nextOrdinal = 0;
+    this.#unorderedFrom = null;
 
     // Add fields, checking for duplicates and invalids
     Object.entries(fields).forEach(([fieldName, fieldType]) => {
@@ -75,6 +128,20 @@ export class Model {
 
     this.#emptyRecordTemplate = this.#generateEmptyRecordTemplate();
 
+    // Add indexes, checking for invalids
+    Object.entries(indexes).forEach(([fieldName, indexType]) => {
+      this.#addIndex(fieldName, indexType);
+    });
+
+    // Add composite unique constraints, checking for duplicates and invalids
+    if (!Array.isArray(uniques))
+      throw new TypeError(`Model ${name} unique constraints are not valid.`);
+    uniques.forEach(fieldNames => {
+      this.#addUnique(fieldNames);
+    });
+
+    if (idStrategy !== null) this.#setIdStrategy(idStrategy);
+
     // Add properties, checking for duplicates and invalids
     Object.entries(properties).forEach(([propertyName, property]) => {
       if (typeof property === 'object')
@@ -96,45 +163,292 @@ export class Model {
       this.#addScope(scopeName, ...Model.#parseScope(scope));
     });
 
-    // Add the model to the instances map
-    Model.#instances.set(this.name, this);
+    // Add hooks, checking for invalids
+    Object.entries(hooks).forEach(([hookName, hook]) => {
+      this.#addHook(hookName, hook);
+    });
   }
 
   createRecord(record) {
-    const [newRecordId, newRecord] = this.#recordHandler.createRecord(record);
-    this.#records[$set](newRecordId, newRecord);
-    return newRecord;
+    if (this.#startsHistoryEntry())
+      return this.#schema.transaction(() => this.createRecord(record));
+    return this.#insertRecord(...this.#prepareRecord(record));
+  }
+
+  /**
+   * Creates multiple records. All records are validated before any of them is
+   * inserted. Invalid records are skipped instead of throwing.
+   * @param {Array} records An array of record data objects.
+   * @returns {Object} An object with `created`, `updated` and `failed` arrays.
+   * `created` contains the new records, `updated` is always empty and
+   * `failed` contains a `{ data, error }` object for each skipped record.
+   */
+  createRecords(records) {
+    if (!Array.isArray(records))
+      throw new TypeError('Records data must be an array.');
+    const result = { created: [], updated: [], failed: [] };
+    const newRecordIds = new Set();
+
+    const preparedRecords = records.reduce((prepared, data) => {
+      try {
+        const preparedRecord = this.#prepareRecord(data, newRecordIds);
+        this.#validateBatchId(preparedRecord[1], newRecordIds);
+        prepared.push([data, preparedRecord]);
+      } catch (error) {
+        result.failed.push({ data, error });
+      }
+      return prepared;
+    }, []);
+
+    this.#atomically(() =>
+      preparedRecords.forEach(([data, preparedRecord]) => {
+        try {
+          result.created.push(
+            this.#atomically(() => this.#insertRecord(...preparedRecord))
+          );
+        } catch (error) {
+          result.failed.push({ data, error });
+        }
+      })
+    );
+    return result;
+  }
+
+  /**
+   * Updates the record with the same id as the given data, if it exists, or
+   * creates a new record otherwise.
+   * @param {Object} record The record data, including its `id`.
+   * @returns The updated or created record.
+   */
+  upsertRecord(record) {
+    if (!isObject(record))
+      throw new TypeError('Record data must be an object.');
+    const { id, ...recordData } = record;
+    if (this.#records.has(id)) return this.updateRecord(id, recordData);
+    return this.createRecord(record);
+  }
+
+  /**
+   * Updates or creates multiple records, depending on whether a record with
+   * the same id exists. All records are validated, using the data returned by
+   * their `beforeCreate` or `beforeUpdate` hook, before any of them is
+   * inserted or updated. Invalid records are skipped instead of throwing.
+   * @param {Array} records An array of record data objects.
+   * @returns {Object} An object with `created`, `updated` and `failed` arrays.
+   * `created` and `updated` contain the respective records and `failed`
+   * contains a `{ data, error }` object for each skipped record.
+   */
+  upsertRecords(records) {
+    if (!Array.isArray(records))
+      throw new TypeError('Records data must be an array.');
+    const result = { created: [], updated: [], failed: [] };
+    const newRecordIds = new Set();
+
+    const operations = records.reduce((prepared, data) => {
+      try {
+        if (!isObject(data))
+          throw new TypeError('Record data must be an object.');
+        const { id, ...recordData } = data;
+        if (newRecordIds.has(id)) {
+          // Records created earlier in the same batch can only be validated
+          // once they are inserted, so they are updated in order instead.
+          prepared.push([
+            data,
+            'updated',
+            () => this.updateRecord(id, recordData),
+          ]);
+        } else if (this.#records.has(id)) {
+          // Validate the data returned by the hook, as updateRecord() would
+          const preparedUpdate = this.#prepareUpdate(id, recordData);
+          this.#recordHandler.validateUpdate(...preparedUpdate);
+          prepared.push([
+            data,
+            'updated',
+            () => this.#applyUpdate(...preparedUpdate),
+          ]);
+        } else {
+          const preparedRecord = this.#prepareRecord(data, newRecordIds);
+          this.#validateBatchId(preparedRecord[1], newRecordIds);
+          prepared.push([
+            data,
+            'created',
+            () => this.#insertRecord(...preparedRecord),
+          ]);
+        }
+      } catch (error) {
+        result.failed.push({ data, error });
+      }
+      return prepared;
+    }, []);
+
+    this.#atomically(() =>
+      operations.forEach(([data, resultKey, operation]) => {
+        try {
+          result[resultKey].push(this.#atomically(operation));
+        } catch (error) {
+          result.failed.push({ data, error });
+        }
+      })
+    );
+    return result;
+  }
+
+  /**
+   * Removes multiple records. Records that cannot be removed are skipped
+   * instead of throwing.
+   * @param {Array|RecordSet} ids An array of record ids or a record set of
+   * this model.
+   * @returns {Object} An object with `removed` and `failed` arrays. `removed`
+   * contains the removed records and `failed` contains an `{ id, error }`
+   * object for each skipped record.
+   */
+  removeRecords(ids) {
+    if (ids instanceof RecordSet && ids[Symbol.toStringTag] !== this.name)
+      throw new TypeError(`Record set does not belong to model ${this.name}.`);
+    const recordIds = ids instanceof RecordSet ? [...ids.keys()] : ids;
+    if (!Array.isArray(recordIds))
+      throw new TypeError('Record ids must be an array or a record set.');
+    const result = { removed: [], failed: [] };
+
+    this.#atomically(() =>
+      recordIds.forEach(id => {
+        try {
+          if (!this.#records.has(id))
+            throw new ReferenceError(`Record ${id} does not exist.`);
+          const record = this.#records.get(id);
+          this.#atomically(() => this.removeRecord(id));
+          result.removed.push(record);
+        } catch (error) {
+          result.failed.push({ id, error });
+        }
+      })
+    );
+    return result;
   }
 
   removeRecord(recordId) {
+    // Removals always run in a transaction, so that a failed cascade does not
+    // leave partial changes behind.
+    if (this.#schema && !this[$transaction])
+      return this.#schema.transaction(() => this.removeRecord(recordId));
     if (!this.#records.has(recordId)) {
       console.warn(`Record ${recordId} does not exist.`);
       return false;
     }
-    this.#records[$delete](recordId);
+    const record = this.#records.get(recordId);
+    const relationships = new Set(this.#relationships.values());
+    this[$validateRemoval](recordId);
+    this.#callHook('beforeRemove', record);
+    const ordinal = this.#ordinals.get(recordId);
+    this.#detachRecord(recordId, record);
+    this.#recordChange(
+      { type: 'remove', recordId },
+      () => {
+        this.#attachRecord(recordId, record, ordinal);
+        this.#emit('create', { record });
+      },
+      () => {
+        this.#detachRecord(recordId, record);
+        this.#emit('remove', { record });
+      }
+    );
+    relationships.forEach(relationship =>
+      relationship[$removeReferences](this, recordId)
+    );
+    this.#callHook('afterRemove', record);
+    this.#emit('remove', { record });
     return true;
   }
 
   updateRecord(recordId, record) {
-    if (typeof record !== 'object')
-      throw new TypeError('Record data must be an object.');
-    if (!this.#records.has(recordId))
-      throw new ReferenceError(`Record ${recordId} does not exist.`);
-    const oldRecord = this.#records.get(recordId);
-    Object.entries(record).forEach(([fieldName, fieldValue]) => {
-      oldRecord[fieldName] = fieldValue;
-    });
-    return oldRecord;
+    if (this.#startsHistoryEntry())
+      return this.#schema.transaction(() =>
+        this.updateRecord(recordId, record)
+      );
+    return this.#applyUpdate(...this.#prepareUpdate(recordId, record));
+  }
+
+  /**
+   * Adds a listener for the given record event.
+   * @param {String} eventName One of `'create'`, `'update'` or `'remove'`.
+   * @param {Function} listener A function to be called with the event data.
+   * @returns The model.
+   */
+  on(eventName, listener) {
+    this.#emitter.on(eventName, listener);
+    return this;
+  }
+
+  /**
+   * Adds a listener for the given record event, which is removed after its
+   * first call.
+   * @param {String} eventName One of `'create'`, `'update'` or `'remove'`.
+   * @param {Function} listener A function to be called with the event data.
+   * @returns The model.
+   */
+  once(eventName, listener) {
+    this.#emitter.on(eventName, listener, { once: true });
+    return this;
+  }
+
+  /**
+   * Removes a listener from the given record event.
+   * @param {String} eventName One of `'create'`, `'update'` or `'remove'`.
+   * @param {Function} listener The listener to remove.
+   * @returns The model.
+   */
+  off(eventName, listener) {
+    this.#emitter.off(eventName, listener);
+    return this;
   }
 
   get records() {
     return this.#records;
   }
 
+  /**
+   * Creates a lazy query over the records of the model. The query is
+   * evaluated against the model's records at the time it is iterated or
+   * materialized.
+   * @returns {QueryBuilder} A new query over the records of the model.
+   */
+  query() {
+    return new QueryBuilder({ model: this });
+  }
+
+  /**
+   * Retrieves a record by the value of a unique field.
+   * @param {String} fieldName The name of a field with a unique constraint.
+   * @param {*} value The value to look up.
+   * @returns The matching record or `undefined` if there is none.
+   */
+  findBy(fieldName, value) {
+    if (fieldName === 'id') return this.#records.get(value);
+    if (!this.#uniques.has(fieldName))
+      throw new ReferenceError(
+        `Field ${fieldName} does not have a unique constraint.`
+      );
+    const recordId = this.#uniques.get(fieldName).index.get([value]);
+    return recordId === undefined ? undefined : this.#records.get(recordId);
+  }
+
+  /**
+   * Retrieves a field from the model.
+   * @param {String} name The name of the field to retrieve.
+   * @returns The field or `undefined` if it does not exist.
+   */
+  getField(name) {
+    return this.#fields.get(name);
+  }
+
   // Protected (package internal-use only)
 
-  static get [$instances]() {
-    return Model.#instances;
+  get [$schema]() {
+    return this.#schema;
+  }
+
+  get [$schemaObject]() {
+    return this.#schema ? this.#schema[$schemaObject] : {};
   }
 
   get [$recordHandler]() {
@@ -165,10 +479,55 @@ export class Model {
     return this.#scopes;
   }
 
+  get [$predicates]() {
+    return this.#predicates;
+  }
+
+  get [$indexes]() {
+    return this.#indexes;
+  }
+
+  get [$transaction]() {
+    return this.#schema ? this.#schema[$transaction] : null;
+  }
+
+  get [$ordinals]() {
+    return this.#ordinals;
+  }
+
+  // Called by the schema once a transaction is over. Records restored by
+  // undoing or rolling back their removal are appended to the records, so the
+  // records following them are moved after them at once.
+  [$restoreRecordOrder]() {
+    if (this.#unorderedFrom === null) return;
+    const unorderedFrom = this.#unorderedFrom;
+    this.#unorderedFrom = null;
+    const entries = [];
+    for (const entry of this.#records)
+      if (this.#ordinals.get(entry[0]) >= unorderedFrom) entries.push(entry);
+    entries
+      .sort(([id1], [id2]) => this.#ordinals.get(id1) - this.#ordinals.get(id2))
+      .forEach(([id, record]) => {
+        this.#records[$delete](id);
+        this.#records[$set](id, record);
+      });
+  }
+
   get [$emptyRecordTemplate]() {
     return this.#emptyRecordTemplate;
   }
 
+  // Throws if the record or any record its removal cascades to cannot be
+  // removed, so that nothing is removed unless the whole cascade can be.
+  [$validateRemoval](recordId, visitedIds = new Set()) {
+    const key = `${this.name}.${recordId}`;
+    if (visitedIds.has(key)) return;
+    visitedIds.add(key);
+    new Set(this.#relationships.values()).forEach(relationship =>
+      relationship[$validateRemoval](this, recordId, visitedIds)
+    );
+  }
+
   [$addRelationshipAsField](relationship) {
     const { name, fieldName, field } = relationship[$getField]();
     const relationshipName = `${name}.${fieldName}`;
@@ -189,6 +548,8 @@ export class Model {
     this.#fields.set(fieldName, field);
     this.#relationships.set(relationshipName, relationship);
     this.#emptyRecordTemplate[fieldName] = undefined;
+    // Relationship fields are indexed to speed up reverse lookups.
+    this.#addIndex(fieldName, 'hash');
   }
 
   [$addRelationshipAsProperty](relationship) {
@@ -212,18 +573,271 @@ export class Model {
     this.#relationships.set(relationshipName, relationship);
   }
 
+  // Called by the record handler before a field of an existing record is
+  // set, so that duplicate values are rejected without modifying the record.
+  [$checkUniqueness](recordValue, fieldName, newValue) {
+    this.#uniques.forEach(({ fieldNames }, constraintName) => {
+      if (!fieldNames.includes(fieldName)) return;
+      this.#validateUnique(constraintName, {
+        ...recordValue,
+        [fieldName]: newValue,
+      });
+    });
+  }
+
   [$clearCachedProperties]() {
     this.#cachedProperties.clear();
   }
 
+  // Called by the record handler whenever a field of an existing record is
+  // set. Changes made via `updateRecord()` are batched into a single event.
+  [$handleFieldUpdate](record, fieldName, oldValue, newValue) {
+    if (isSameValue(oldValue, newValue)) return;
+    this.#updateIndexes(record, fieldName, oldValue, newValue);
+    const setFieldValue = (fromValue, toValue) => {
+      record[$recordValue][fieldName] = toValue;
+      record[$cachedProperties].clear();
+      this.#updateIndexes(record, fieldName, fromValue, toValue);
+      this.#emit('update', {
+        record,
+        changes: { [fieldName]: [fromValue, toValue] },
+      });
+    };
+    this.#recordChange(
+      {
+        type: 'update',
+        recordId: record.id,
+        field: fieldName,
+        oldValue,
+        newValue,
+      },
+      () => setFieldValue(newValue, oldValue),
+      () => setFieldValue(oldValue, newValue)
+    );
+    if (this.#pendingChanges) {
+      const previousChange = this.#pendingChanges[fieldName];
+      this.#pendingChanges[fieldName] = [
+        previousChange ? previousChange[0] : oldValue,
+        newValue,
+      ];
+      return;
+    }
+    this.#emit('update', {
+      record,
+      changes: { [fieldName]: [oldValue, newValue] },
+    });
+  }
+
   // Private
 
-  #addField(type, name) {
-    const isStandardType = allStandardTypes.includes(type);
+  // Runs the `beforeUpdate` hook, returning the arguments for #applyUpdate.
+  #prepareUpdate(recordId, record) {
+    if (typeof record !== 'object')
+      throw new TypeError('Record data must be an object.');
+    if (!this.#records.has(recordId))
+      throw new ReferenceError(`Record ${recordId} does not exist.`);
+    const oldRecord = this.#records.get(recordId);
+    const recordData =
+      this.#callHook('beforeUpdate', oldRecord, record) ?? record;
+    return [oldRecord, recordData];
+  }
+
+  #applyUpdate(oldRecord, recordData) {
+    // Collect field changes, so that a single event is emitted
+    let changes;
+    this.#pendingChanges = {};
+    try {
+      Object.entries(recordData).forEach(([fieldName, fieldValue]) => {
+        oldRecord[fieldName] = fieldValue;
+      });
+    } finally {
+      changes = this.#pendingChanges;
+      this.#pendingChanges = null;
+    }
+    this.#callHook('afterUpdate', oldRecord, recordData);
+    if (Object.keys(changes).length)
+      this.#emit('update', { record: oldRecord, changes });
+    return oldRecord;
+  }
+
+  // Validates the record data, returning the arguments for #insertRecord.
+  #prepareRecord(record, newRecordIds = new Set()) {
+    const recordData = this.#withGeneratedId(
+      this.#callHook('beforeCreate', record) ?? record,
+      newRecordIds
+    );
+    const [newRecordId, newRecord] =
+      this.#recordHandler.createRecord(recordData);
+    return [recordData, newRecordId, newRecord];
+  }
+
+  #insertRecord(recordData, newRecordId, newRecord) {
+    this.#uniques.forEach((_, constraintName) =>
+      this.#validateUnique(constraintName, newRecord[$recordValue])
+    );
+    const ordinal = this.#nextOrdinal++;
+    this.#attachRecord(newRecordId, newRecord, ordinal);
+    this.#recordChange(
+      { type: 'create', recordId: newRecordId },
+      () => {
+        this.#detachRecord(newRecordId, newRecord);
+        this.#emit('remove', { record: newRecord });
+      },
+      () => {
+        this.#attachRecord(newRecordId, newRecord, ordinal);
+        this.#emit('create', { record: newRecord });
+      }
+    );
+    this.#callHook('afterCreate', newRecord, recordData);
+    this.#emit('create', { record: newRecord });
+    return newRecord;
+  }
+
+  // Ids are only generated for records without an explicit id.
+  #withGeneratedId(recordData, newRecordIds) {
+    if (!this.#idGenerator || !isObject(recordData) || recordData.id != null)
+      return recordData;
+    const isTaken = id => this.#records.has(id) || newRecordIds.has(id);
+    return { ...recordData, id: this.#idGenerator(recordData, isTaken) };
+  }
+
+  #setIdStrategy(idStrategy) {
+    this.#idGenerator = createIdGenerator(idStrategy);
+    const isSlug = isObject(idStrategy) && idStrategy.type === 'slug';
+    if (isSlug && !this.#fields.has(idStrategy.field))
+      throw new ReferenceError(
+        `Cannot generate ids from field ${idStrategy.field}, as it does not exist.`
+      );
+  }
+
+  // Records of the same batch are not yet stored, so check them separately.
+  #validateBatchId(newRecordId, newRecordIds) {
+    if (newRecordIds.has(newRecordId))
+      throw new DuplicationError(
+        `${this.name} record with id ${newRecordId} already exists.`
+      );
+    newRecordIds.add(newRecordId);
+  }
+
+  // Bulk operations run in a single transaction, so that they form a single
+  // history entry, and apply each record's changes in a nested transaction
+  // (i.e. a savepoint), so that a failed record does not leave partial
+  // changes behind.
+  #atomically(operation) {
+    return this.#schema ? this.#schema.transaction(operation) : operation();
+  }
+
+  // Records are kept in the order they were created, even when restored.
+  #attachRecord(recordId, record, ordinal) {
+    this.#records[$set](recordId, record);
+    this.#ordinals.set(recordId, ordinal);
+    if (ordinal < this.#nextOrdinal - 1)
+      this.#unorderedFrom = Math.min(this.#unorderedFrom ?? ordinal, ordinal);
+    this.#indexes.forEach((index, fieldName) =>
+      index.add(recordId, record[$recordValue][fieldName])
+    );
+    this.#uniques.forEach(({ fieldNames, index }) =>
+      index.add(
+        recordId,
+        fieldNames.map(fieldName => record[$recordValue][fieldName])
+      )
+    );
+  }
+
+  #detachRecord(recordId, record) {
+    this.#records[$delete](recordId);
+    this.#ordinals.delete(recordId);
+    this.#indexes.forEach((index, fieldName) =>
+      index.remove(recordId, record[$recordValue][fieldName])
+    );
+    this.#uniques.forEach(({ fieldNames, index }) =>
+      index.remove(
+        recordId,
+        fieldNames.map(fieldName => record[$recordValue][fieldName])
+      )
+    );
+  }
 
-    if (typeof type !== 'string' || !isStandardType)
-      throw new TypeError(`Field ${name} is not a standard type.`);
-    this.#fields.set(name, Field[type](name));
+  // Expects the record's value for the field to already be `newValue`.
+  #updateIndexes(record, fieldName, oldValue, newValue) {
+    if (this.#indexes.has(fieldName)) {
+      const index = this.#indexes.get(fieldName);
+      index.remove(record.id, oldValue);
+      index.add(record.id, newValue);
+    }
+    this.#uniques.forEach(({ fieldNames, index }) => {
+      if (!fieldNames.includes(fieldName)) return;
+      const getValues = value =>
+        fieldNames.map(name =>
+          name === fieldName ? value : record[$recordValue][name]
+        );
+      index.remove(record.id, getValues(oldValue));
+      index.add(record.id, getValues(newValue));
+    });
+  }
+
+  // Registers a change with the schema, so that it can be rolled back as part
+  // of a transaction or undone and redone if history is enabled. Undoing and
+  // redoing emits the record events of the resulting change, which are
+  // discarded when rolling back.
+  #recordChange(description, undo, redo) {
+    if (!this.#schema) return;
+    this.#schema[$recordChange]({
+      description: { ...description, model: this.name },
+      undo,
+      redo,
+    });
+  }
+
+  // With history enabled, operations outside of a transaction run in one, so
+  // that all of their changes (e.g. cascades) form a single history entry.
+  #startsHistoryEntry() {
+    return Boolean(
+      this.#schema && this.#schema.config.history && !this[$transaction]
+    );
+  }
+
+  #addField(fieldData, name) {
+    // Fields can be specified either as a type string or as an object
+    const {
+      type,
+      required = false,
+      default: defaultValue,
+      validate = {},
+      values,
+      unique = false,
+    } = isObject(fieldData) ? fieldData : { type: fieldData };
+    const validators = Model.#parseValidators(name, validate);
+    const options = { required, defaultValue, validators };
+
+    this.#createField(name, type, values, options);
+    if (unique) this.#addUnique([name]);
+  }
+
+  #createField(name, type, values, options) {
+    if (type === 'enum') {
+      this.#fields.set(name, Field.enum(name, { values, ...options }));
+      this.#addPredicate(name);
+      return;
+    }
+
+    if (typeof type === 'string' && allStandardTypes.includes(type)) {
+      this.#fields.set(name, Field[type](name, options));
+      return;
+    }
+
+    const customTypes = this.#schema ? this.#schema[$types] : new Map();
+    if (typeof type !== 'string' || !customTypes.has(type))
+      throw new TypeError(`Field ${name} is not a standard or custom type.`);
+    this.#fields.set(
+      name,
+      new Field({
+        name,
+        type: customTypes.get(type),
+        typeName: type,
+        ...options,
+      })
+    );
   }
 
   #addProperty({ name, body, cache = false, inverse = null }) {
@@ -252,6 +866,105 @@ export class Model {
     this.#methods.set(name, method);
   }
 
+  #addHook(name, hook) {
+    if (!allHooks.includes(name))
+      throw new NameError(`Hook ${name} is not a valid hook.`);
+    if (typeof hook !== 'function')
+      throw new TypeError(`Hook ${name} is not a function.`);
+    this.#hooks.set(name, hook);
+  }
+
+  // Hooks are called with the schema object as their last argument, much
+  // like methods. A `before*` hook can abort the operation by throwing.
+  #callHook(name, ...args) {
+    if (!this.#hooks.has(name)) return undefined;
+    return this.#hooks.get(name)(...args, this[$schemaObject]);
+  }
+
+  #emit(eventName, { record, changes }) {
+    // Events are emitted once the transaction is committed, if any
+    if (this[$transaction]) {
+      this[$transaction].defer(() =>
+        this.#emit(eventName, { record, changes })
+      );
+      return;
+    }
+    const event = { type: eventName, model: this, record };
+    if (changes) {
+      event.fields = Object.keys(changes);
+      event.changes = changes;
+    }
+    this.#emitter.emit(eventName, event);
+    if (this.#schema) this.#schema[$emit](eventName, event);
+  }
+
+  #addIndex(fieldName, indexType) {
+    if (!this.#fields.has(fieldName))
+      throw new ReferenceError(
+        `Cannot index field ${fieldName}, as it does not exist.`
+      );
+    if (!Object.keys(indexTypes).includes(indexType))
+      throw new TypeError(`Index type ${indexType} is not valid.`);
+    if (this.#indexes.has(fieldName))
+      throw new DuplicationError(`Field ${fieldName} is already indexed.`);
+
+    const index = new indexTypes[indexType]();
+    this.#records.forEach((record, id) =>
+      index.add(id, record[$recordValue][fieldName])
+    );
+    this.#indexes.set(fieldName, index);
+  }
+
+  // Unique constraints are named after their fields (e.g. `firstName,lastName`)
+  #addUnique(fieldNames) {
+    if (!Array.isArray(fieldNames) || !fieldNames.length)
+      throw new TypeError(
+        `Unique constraint fields must be a non-empty array of field names.`
+      );
+    const constraintName = fieldNames.join(',');
+    fieldNames.forEach(fieldName => {
+      if (!this.#fields.has(fieldName))
+        throw new ReferenceError(
+          `Cannot add unique constraint on field ${fieldName}, as it does not exist.`
+        );
+    });
+    if (new Set(fieldNames).size !== fieldNames.length)
+      throw new DuplicationError(
+        `Unique constraint ${constraintName} contains duplicate fields.`
+      );
+    if (this.#uniques.has(constraintName))
+      throw new DuplicationError(
+        `Unique constraint ${constraintName} already exists.`
+      );
+
+    this.#uniques.set(constraintName, { fieldNames, index: new UniqueIndex() });
+  }
+
+  #validateUnique(constraintName, recordValue) {
+    const { fieldNames, index } = this.#uniques.get(constraintName);
+    const values = fieldNames.map(fieldName => recordValue[fieldName]);
+    const existingId = index.get(values);
+    if (existingId !== undefined && existingId !== recordValue.id)
+      throw new DuplicationError(
+        `${this.name} record with ${fieldNames
+          .map((fieldName, i) => `${fieldName} ${values[i]}`)
+          .join(' and ')} already exists.`
+      );
+  }
+
+  // Enum fields get a `where<FieldName>` predicate helper on the record set.
+  #addPredicate(fieldName) {
+    const predicateName = `where${capitalize(fieldName)}`;
+    if (
+      this.#records[predicateName] ||
+      Object.getOwnPropertyNames(RecordSet.prototype).includes(predicateName)
+    )
+      throw new NameError(`Predicate name ${predicateName} is already in use.`);
+
+    this.#predicates.set(predicateName, fieldName);
+    this.#records[$addPredicate](predicateName);
+  }
+
   #addScope(name, scope, sortFn) {
     if (typeof scope !== 'function')
       throw new TypeError(`Scope ${name} is not a function.`);
@@ -279,6 +992,20 @@ export class Model {
     return emptyRecordTemplate;
   }
 
+  static #parseValidators(fieldName, validate) {
+    // A single function is named after the `validate` key itself
+    const validators = typeof validate === 'function' ? { validate } : validate;
+    if (!isObject(validators))
+      throw new TypeError(`Field ${fieldName} validators are not valid.`);
+    Object.entries(validators).forEach(([ruleName, rule]) => {
+      if (typeof rule !== 'function')
+        throw new TypeError(
+          `Field ${fieldName} validation rule ${ruleName} is not a function.`
+        );
+    });
+    return validators;
+  }
+
   static #parseScope(scope) {
     if (typeof scope === 'function') return [scope];
     if (typeof scope === 'object') {
@@ -287,9 +1014,11 @@ export class Model {
         throw new TypeError(
           `The provided matcher for the scope is not a function.`
         );
+      // An array of orderings is compiled as for `RecordSet.orderBy()`.
+      if (Array.isArray(sorter)) return [matcher, compileOrder(sorter)];
       if (sorter && typeof sorter !== 'function')
         throw new TypeError(
-          `The provided sorter for the scope is not a function.`
+          `The provided sorter for the scope is not a function or array.`
         );
       return [matcher, sorter];
     }
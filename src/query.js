@@ -0,0 +1,470 @@
+import symbols from './symbols.js';
+
+const { $isRecord } = symbols;
+
+const isEmpty = value => value === null || value === undefined;
+
+const isRecord = value => !isEmpty(value) && Boolean(value[$isRecord]);
+
+const isPlainObject = value =>
+  Boolean(value) &&
+  typeof value === 'object' &&
+  Object.getPrototypeOf(value) === Object.prototype;
+
+// Objects whose keys are all operators (e.g. `{ $gte: 18 }`) are conditions,
+// while any other value is matched by equality.
+const isOperatorObject = value =>
+  isPlainObject(value) &&
+  Object.keys(value).length > 0 &&
+  Object.keys(value).every(key => key.startsWith('$'));
+
+// Records are compared by id and dates by timestamp.
+const toComparable = value => {
+  if (isRecord(value)) return value.id;
+  if (value instanceof Date) return value.getTime();
+  return value;
+};
+
+const isEqual = (a, b) => {
+  if (isEmpty(a) || isEmpty(b)) return isEmpty(a) && isEmpty(b);
+  if (Array.isArray(a) || Array.isArray(b))
+    return (
+      Array.isArray(a) &&
+      Array.isArray(b) &&
+      a.length === b.length &&
+      a.every((value, i) => isEqual(value, b[i]))
+    );
+  return toComparable(a) === toComparable(b);
+};
+
+const compare = (a, b) => {
+  const [x, y] = [toComparable(a), toComparable(b)];
+  if (isEmpty(x) || isEmpty(y) || typeof x !== typeof y) return NaN;
+  return x < y ? -1 : x > y ? 1 : 0;
+};
+
+// Array values and record sets (e.g. toMany relationships) are matched if any
+// of their elements match.
+const toElements = values =>
+  values.flatMap(value => {
+    if (value instanceof Map) return [...value.values()];
+    if (Array.isArray(value)) return value;
+    return [value];
+  });
+
+const toRegExp = operand => {
+  if (operand instanceof RegExp) return operand;
+  if (typeof operand === 'string') return new RegExp(operand);
+  throw new TypeError(
+    'Operator $regex expects a string or regular expression.'
+  );
+};
+
+const expectArray = (operator, operand) => {
+  if (!Array.isArray(operand))
+    throw new TypeError(`Operator ${operator} expects an array.`);
+  return operand;
+};
+
+const comparison = matchFn => operand => values =>
+  toElements(values).some(value => matchFn(compare(value, operand)));
+
+// Each operator creates a matcher from its operand. Matchers are called with
+// all values found at the queried path, as more than one value can be found
+// when traversing toMany relationships.
+const operators = {
+  $eq: operand => values =>
+    values.some(value => isEqual(value, operand)) ||
+    toElements(values).some(value => isEqual(value, operand)),
+  $ne: operand => {
+    const matcher = operators.$eq(operand);
+    return values => !matcher(values);
+  },
+  $gt: comparison(result => result > 0),
+  $gte: comparison(result => result >= 0),
+  $lt: comparison(result => result < 0),
+  $lte: comparison(result => result <= 0),
+  $in: operand => {
+    const matchers = expectArray('$in', operand).map(operators.$eq);
+    return values => matchers.some(matcher => matcher(values));
+  },
+  $nin: operand => {
+    const matcher = operators.$in(operand);
+    return values => !matcher(values);
+  },
+  $contains: operand => values =>
+    values.some(value =>
+      typeof value === 'string'
+        ? typeof operand === 'string' && value.includes(operand)
+        : toElements([value]).some(element => isEqual(element, operand))
+    ),
+  $startsWith: operand => {
+    if (typeof operand !== 'string')
+      throw new TypeError('Operator $startsWith expects a string.');
+    return values =>
+      toElements(values).some(
+        value => typeof value === 'string' && value.startsWith(operand)
+      );
+  },
+  $regex: operand => {
+    const regExp = toRegExp(operand);
+    // `search()` ignores the `lastIndex` of global regular expressions.
+    return values =>
+      toElements(values).some(
+        value => typeof value === 'string' && value.search(regExp) !== -1
+      );
+  },
+  $exists: operand => values =>
+    values.some(value => !isEmpty(value)) === Boolean(operand),
+};
+
+const compileCondition = condition => {
+  if (!isOperatorObject(condition)) return operators.$eq(condition);
+  const matchers = Object.entries(condition).map(([operator, operand]) => {
+    if (operator === '$not') {
+      const matcher = compileCondition(operand);
+      return values => !matcher(values);
+    }
+    if (!Object.hasOwn(operators, operator))
+      throw new TypeError(`Unknown query operator: ${operator}.`);
+    return operators[operator](operand);
+  });
+  return values => matchers.every(matcher => matcher(values));
+};
+
+// Resolves a '.'-delimited path, traversing relationships. Paths through
+// toMany relationships resolve to the values of all associated records.
+const resolvePath = (value, keys) => {
+  if (!keys.length) return [value];
+  if (isEmpty(value)) return [undefined];
+  const [key, ...rest] = keys;
+  if (value instanceof Map)
+    return [...value.values()].flatMap(record =>
+      resolvePath(record[key], rest)
+    );
+  return resolvePath(value[key], rest);
+};
+
+const logicalOperators = {
+  $and: matchers => record => matchers.every(matcher => matcher(record)),
+  $or: matchers => record => matchers.some(matcher => matcher(record)),
+};
+
+/**
+ * Compiles a declarative query into a function that checks if a record
+ * matches it. Each key of the query is a field, property or '.'-delimited
+ * relationship path and each value is either a value to match or an object of
+ * operators. Keys can also be one of the logical operators `$and`, `$or` and
+ * `$not`.
+ * @param {Object} query The query to compile.
+ * @returns {Function} A function that is called with a record and returns
+ * whether it matches the query.
+ */
+export const compileQuery = query => {
+  if (!isPlainObject(query))
+    throw new TypeError(`Query ${query} is not an object.`);
+  const matchers = Object.entries(query).map(([key, condition]) => {
+    if (Object.hasOwn(logicalOperators, key))
+      return logicalOperators[key](
+        expectArray(key, condition).map(subquery => compileQuery(subquery))
+      );
+    if (key === '$not') {
+      const matcher = compileQuery(condition);
+      return record => !matcher(record);
+    }
+    if (key.startsWith('$'))
+      throw new TypeError(`Unknown query operator: ${key}.`);
+    const keys = key.split('.');
+    const matcher = compileCondition(condition);
+    return record => matcher(resolvePath(record, keys));
+  });
+  return record => matchers.every(matcher => matcher(record));
+};
+
+const rangeOperators = { $gt: 'gt', $gte: 'gte', $lt: 'lt', $lte: 'lte' };
+
+// Returns the ids of records possibly matching the condition, using the
+// index of the field, or `null` if the index cannot be used.
+const getIndexedIdsForCondition = (index, condition) => {
+  const isIndexable = value =>
+    !isEmpty(value) && !Array.isArray(value) && !isPlainObject(value);
+  const getIds = value => index.get(toComparable(value));
+
+  if (!isOperatorObject(condition))
+    return isIndexable(condition) ? getIds(condition) : null;
+  const operatorNames = Object.keys(condition);
+  if (operatorNames.length !== 1) {
+    const isRange = operatorNames.every(name => rangeOperators[name]);
+    if (!isRange || typeof index.range !== 'function') return null;
+  }
+  const [operator] = operatorNames;
+  const operand = condition[operator];
+  if (operator === '$eq') return isIndexable(operand) ? getIds(operand) : null;
+  if (operator === '$in')
+    return Array.isArray(operand) && operand.every(isIndexable)
+      ? operand.flatMap(getIds)
+      : null;
+  if (rangeOperators[operator] && typeof index.range === 'function') {
+    const range = {};
+    operatorNames.forEach(name => {
+      range[rangeOperators[name]] = toComparable(condition[name]);
+    });
+    return index.range(range);
+  }
+  return null;
+};
+
+/**
+ * Uses the indexes of a model to find the ids of records that may match the
+ * given query, based on its top-level conditions on indexed fields.
+ * @param {Object} query A declarative query.
+ * @param {Map} indexes A map of field names to field indexes.
+ * @returns {Set} A set of record ids or `null` if no index can be used.
+ */
+export const getIndexedIds = (query, indexes) =>
+  Object.entries(query).reduce((ids, [key, condition]) => {
+    if (!indexes.has(key)) return ids;
+    const indexedIds = getIndexedIdsForCondition(indexes.get(key), condition);
+    if (!indexedIds) return ids;
+    return ids
+      ? new Set(indexedIds.filter(id => ids.has(id)))
+      : new Set(indexedIds);
+  }, null);
+
+/**
+ * Compiles a testing function or declarative query into a function that
+ * creates a matcher for the given indexes. Queries are compiled once, while
+ * indexes are used to narrow down the matching records each time a matcher
+ * is created, as they change along with the records of the model.
+ * @param {Function|Object} callbackFnOrQuery A testing function or a
+ * declarative query.
+ * @returns {Function} A function that is called with a map of field names to
+ * field indexes and returns a matcher, called with a record and its id.
+ */
+export const compileMatcher = callbackFnOrQuery => {
+  if (typeof callbackFnOrQuery === 'function') return () => callbackFnOrQuery;
+  const matcher = compileQuery(callbackFnOrQuery);
+  return indexes => {
+    // Records that are not among the indexed candidates are rejected without
+    // evaluating the query.
+    const ids = getIndexedIds(callbackFnOrQuery, indexes);
+    if (!ids) return record => matcher(record);
+    return (record, id) => ids.has(id) && matcher(record);
+  };
+};
+
+const directions = ['asc', 'desc'];
+const nullPlacements = ['first', 'last'];
+
+const parseOrdering = (ordering, defaultNulls) => {
+  const [key, direction = 'asc', nulls = defaultNulls] = Array.isArray(ordering)
+    ? ordering
+    : [ordering];
+  if (typeof key !== 'string' || !key)
+    throw new TypeError(`Invalid sort key: ${key}.`);
+  if (!directions.includes(direction))
+    throw new RangeError(
+      `Invalid sort direction: ${direction}. Expected one of: ${directions.join(
+        ', '
+      )}.`
+    );
+  if (!nullPlacements.includes(nulls))
+    throw new RangeError(
+      `Invalid null placement: ${nulls}. Expected one of: ${nullPlacements.join(
+        ', '
+      )}.`
+    );
+  return { keys: key.split('.'), sign: direction === 'asc' ? 1 : -1, nulls };
+};
+
+/**
+ * Compiles a list of orderings into a comparator function for records.
+ * Each ordering is a field, property or '.'-delimited relationship path, or
+ * an array of a path, a direction (`'asc'` or `'desc'`) and, optionally, the
+ * placement of empty values (`'first'` or `'last'`). Strings are compared
+ * using the locale's collation order, dates by timestamp and records by id.
+ * @param {Array} orderings An array of orderings.
+ * @param {Object} options An object with options for the comparator.
+ * @param {String} options.nulls The placement of empty values (`'first'` or
+ * `'last'`) for orderings that do not specify one.
+ * @param {String} options.locale A locale for comparing strings. Defaults to
+ * the runtime's default locale.
+ * @returns {Function} A comparator function, called with two records.
+ */
+export const compileOrder = (orderings, { nulls = 'last', locale } = {}) => {
+  if (!orderings.length)
+    throw new TypeError('At least one sort key must be provided.');
+  const sortKeys = orderings.map(ordering => parseOrdering(ordering, nulls));
+  const collator = new Intl.Collator(locale);
+
+  const compareValues = (a, b) => {
+    if (typeof a === 'string' && typeof b === 'string')
+      return collator.compare(a, b);
+    const result = compare(a, b);
+    // Values of different types are considered equal.
+    return Number.isNaN(result) ? 0 : result;
+  };
+
+  // Paths through toMany relationships are sorted by their first value.
+  return (recordA, recordB) => {
+    for (const { keys, sign, nulls } of sortKeys) {
+      const [a] = resolvePath(recordA, keys);
+      const [b] = resolvePath(recordB, keys);
+      if (isEmpty(a) || isEmpty(b)) {
+        if (isEmpty(a) && isEmpty(b)) continue;
+        return isEmpty(a) === (nulls === 'first') ? -1 : 1;
+      }
+      const result = compareValues(a, b);
+      if (result !== 0) return sign * result;
+    }
+    return 0;
+  };
+};
+
+const expectNumber = (name, value) => {
+  if (typeof value !== 'number')
+    throw new TypeError(`Cannot calculate the ${name} of value ${value}.`);
+  return value;
+};
+
+const sum = values =>
+  values.reduce((total, value) => total + expectNumber('sum', value), 0);
+
+// Finds the entry with the smallest or largest value, keeping the first one
+// in case of ties. Values that cannot be compared to the current one are
+// skipped.
+const findExtremeEntry = (entries, sign) =>
+  entries.reduce(
+    (extreme, entry) =>
+      !extreme || sign * compare(entry[0], extreme[0]) < 0 ? entry : extreme,
+    undefined
+  );
+
+// Groups values by their comparable value, so that equal dates and records
+// are grouped together, keeping the first value of each group.
+const groupValues = values =>
+  values.reduce((groups, value) => {
+    const comparable = toComparable(value);
+    if (groups.has(comparable)) groups.get(comparable).count++;
+    else groups.set(comparable, { value, count: 1 });
+    return groups;
+  }, new Map());
+
+// Each aggregator is called with an array of `[value, record]` entries, one
+// for each non-empty value found at the aggregated path.
+const aggregators = {
+  sum: entries => sum(entries.map(([value]) => value)),
+  average: entries =>
+    entries.length
+      ? sum(entries.map(([value]) => value)) / entries.length
+      : null,
+  min: entries => {
+    const entry = findExtremeEntry(entries, 1);
+    return entry ? entry[0] : null;
+  },
+  max: entries => {
+    const entry = findExtremeEntry(entries, -1);
+    return entry ? entry[0] : null;
+  },
+  minBy: entries => {
+    const entry = findExtremeEntry(entries, 1);
+    return entry ? entry[1] : undefined;
+  },
+  maxBy: entries => {
+    const entry = findExtremeEntry(entries, -1);
+    return entry ? entry[1] : undefined;
+  },
+  median: entries => {
+    if (!entries.length) return null;
+    const values = entries
+      .map(([value]) => expectNumber('median', value))
+      .sort((a, b) => a - b);
+    const middle = Math.floor(values.length / 2);
+    return values.length % 2
+      ? values[middle]
+      : (values[middle - 1] + values[middle]) / 2;
+  },
+  countBy: entries =>
+    new Map(
+      [...groupValues(entries.map(([value]) => value)).values()].map(
+        ({ value, count }) => [value, count]
+      )
+    ),
+  distinct: entries =>
+    [...groupValues(entries.map(([value]) => value)).values()].map(
+      ({ value }) => value
+    ),
+  count: entries => entries.length,
+};
+
+/**
+ * Compiles an aggregate function for the values found at the given path of
+ * each record, skipping empty values. Paths through toMany relationships
+ * aggregate the values of all associated records.
+ * @param {String} name The name of an aggregate function (one of `'sum'`,
+ * `'average'`, `'min'`, `'max'`, `'minBy'`, `'maxBy'`, `'median'`,
+ * `'countBy'`, `'distinct'` or `'count'`).
+ * @param {String} key A field, property or '.'-delimited relationship path.
+ * Can be omitted for `'count'`, to count records instead of values.
+ * @returns {Function} A function that is called with an array of records and
+ * returns the result of the aggregate function.
+ */
+export const compileAggregate = (name, key) => {
+  if (!Object.hasOwn(aggregators, name))
+    throw new TypeError(`Unknown aggregate function: ${name}.`);
+  if (name === 'count' && key === undefined) return records => records.length;
+  if (typeof key !== 'string' || !key)
+    throw new TypeError(`Invalid aggregate key: ${key}.`);
+  const keys = key.split('.');
+  return records =>
+    aggregators[name](
+      records.flatMap(record =>
+        resolvePath(record, keys)
+          .filter(value => !isEmpty(value))
+          .map(value => [value, record])
+      )
+    );
+};
+
+/**
+ * Aggregates the values found at the given path of each record.
+ * @param {String} name The name of an aggregate function (see
+ * `compileAggregate()`).
+ * @param {Array} records An array of records.
+ * @param {String} key A field, property or '.'-delimited relationship path.
+ * @returns {*} The result of the aggregate function.
+ */
+export const aggregate = (name, records, key) =>
+  compileAggregate(name, key)(records);
+
+/**
+ * Gets the key of the group a record belongs to. Related records are
+ * represented by their id and empty values by `null`.
+ * @param {Record} record A record.
+ * @param {*} id The id of the record.
+ * @param {String|Function} key A field, property or '.'-delimited
+ * relationship path or a function that is called with the record and its id
+ * and returns the key.
+ * @returns {*} The key of the group.
+ */
+export const getGroupKey = (record, id, key) => {
+  const [value] =
+    typeof key === 'function'
+      ? [key(record, id)]
+      : resolvePath(record, key.split('.'));
+  if (isEmpty(value)) return null;
+  return isRecord(value) ? value.id : value;
+};
+
+/**
+ * Hashes a group key, so that equal dates and arrays of equal values are
+ * considered the same key.
+ * @param {*} value A group key.
+ * @returns {String} The hash of the group key.
+ */
+export const hashGroupKey = value => {
+  if (Array.isArray(value)) return `[${value.map(hashGroupKey).join(',')}]`;
+  if (isRecord(value)) return `record:${JSON.stringify(value.id)}`;
+  if (value instanceof Date) return `date:${value.getTime()}`;
+  return `${typeof value}:${JSON.stringify(value)}`;
+};
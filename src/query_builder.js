@@ -0,0 +1,249 @@
+import RecordSet from './record_set.js';
+import { compileMatcher, compileOrder } from './query.js';
+import symbols from './symbols.js';
+
+const { $indexes, $set } = symbols;
+
+const validateCount = (methodName, n) => {
+  if (!Number.isInteger(n) || n < 0)
+    throw new RangeError(
+      `${methodName}() expects a non-negative integer, received ${n}.`
+    );
+};
+
+function* filterEntries(entries, matcher) {
+  for (const [id, record] of entries)
+    if (matcher(record, id)) yield [id, record];
+}
+
+/**
+ * A lazy, chainable query over the records of a model or record set. Each
+ * step returns a new query, without evaluating anything. The steps are only
+ * evaluated when the query is iterated or materialized, processing one record
+ * at a time through all steps, except for sorting, which needs all records
+ * that reach it. Iteration stops as soon as the result is known (e.g. for
+ * `first`, `find()` or `limit()`).
+ */
+class QueryBuilder {
+  #model;
+  #source; // Record set to query, read each time the query is evaluated
+  #steps; // Functions mapping an iterable of entries to another one
+
+  /**
+   * Creates a new query.
+   * @param {Object} options An object with options for the query.
+   * @param {Model} options.model The model of the queried records.
+   * @param {RecordSet} options.source The record set to query. Defaults to
+   * all records of the model.
+   */
+  constructor({ model = null, source = null, steps = [] } = {}) {
+    if (!model) throw new TypeError('Model cannot be empty.');
+    this.#model = model;
+    this.#source = source;
+    this.#steps = steps;
+  }
+
+  /**
+   * Keeps only the records that pass the test implemented by the provided
+   * function or match the provided query.
+   * @param {Function|Object} callbackFn Function that is called with each
+   * record and its id or a query object (see `RecordSet.prototype.where()`).
+   * @returns {QueryBuilder} A new query with the added step.
+   */
+  where(callbackFn) {
+    const createMatcher = compileMatcher(callbackFn);
+    return this.#addStep(entries =>
+      filterEntries(entries, createMatcher(this.#model[$indexes]))
+    );
+  }
+
+  /**
+   * Keeps only the records that fail the test implemented by the provided
+   * function or do not match the provided query.
+   * @param {Function|Object} callbackFn Function that is called with each
+   * record and its id or a query object (see `RecordSet.prototype.where()`).
+   * @returns {QueryBuilder} A new query with the added step.
+   */
+  whereNot(callbackFn) {
+    const createMatcher = compileMatcher(callbackFn);
+    return this.#addStep(entries => {
+      const matcher = createMatcher(this.#model[$indexes]);
+      return filterEntries(entries, (record, id) => !matcher(record, id));
+    });
+  }
+
+  /**
+   * Sorts the records using the provided comparator function.
+   * @param {Function} comparatorFn Function that defines the sort order (see
+   * `RecordSet.prototype.sort()`).
+   * @returns {QueryBuilder} A new query with the added step.
+   */
+  sort(comparatorFn) {
+    if (typeof comparatorFn !== 'function')
+      throw new TypeError('The provided comparator is not a function.');
+    return this.#addStep(entries =>
+      [...entries].sort(([id1, value1], [id2, value2]) =>
+        comparatorFn(value1, value2, id1, id2)
+      )
+    );
+  }
+
+  /**
+   * Sorts the records by the specified keys.
+   * @param  {...any} orderings A list of orderings, optionally followed by an
+   * object of options (see `RecordSet.prototype.orderBy()`).
+   * @returns {QueryBuilder} A new query with the added step.
+   */
+  orderBy(...orderings) {
+    const lastOrdering = orderings[orderings.length - 1];
+    const options =
+      lastOrdering &&
+      typeof lastOrdering === 'object' &&
+      !Array.isArray(lastOrdering)
+        ? orderings.pop()
+        : {};
+    const comparatorFn = compileOrder(orderings, options);
+    return this.sort(comparatorFn);
+  }
+
+  /**
+   * Keeps only the first n records.
+   * @param {Number} n The number of records to keep.
+   * @returns {QueryBuilder} A new query with the added step.
+   */
+  limit(n) {
+    validateCount('limit', n);
+    return this.#addStep(function* (entries) {
+      if (n === 0) return;
+      let counter = 0;
+      for (const entry of entries) {
+        yield entry;
+        if (++counter === n) return;
+      }
+    });
+  }
+
+  /**
+   * Skips the first n records.
+   * @param {Number} n The number of records to skip.
+   * @returns {QueryBuilder} A new query with the added step.
+   */
+  offset(n) {
+    validateCount('offset', n);
+    return this.#addStep(function* (entries) {
+      let counter = 0;
+      for (const entry of entries) {
+        if (counter < n) counter++;
+        else yield entry;
+      }
+    });
+  }
+
+  /**
+   * Evaluates the query, yielding `[id, record]` pairs, similar to iterating
+   * over a record set.
+   */
+  *[Symbol.iterator]() {
+    const source = this.#source || this.#model.records;
+    yield* this.#steps.reduce(
+      (entries, step) => step(entries),
+      source.entries()
+    );
+  }
+
+  /**
+   * Returns the first record matching the query, evaluating only as many
+   * records as needed.
+   */
+  get first() {
+    for (const [, record] of this) return record;
+    return undefined;
+  }
+
+  /**
+   * Returns the last record matching the query.
+   */
+  get last() {
+    let last;
+    for (const [, record] of this) last = record;
+    return last;
+  }
+
+  /**
+   * Returns the number of records matching the query.
+   */
+  get count() {
+    const iterator = this[Symbol.iterator]();
+    let count = 0;
+    while (!iterator.next().done) count++;
+    return count;
+  }
+
+  /**
+   * Returns the first record matching the query that passes the test
+   * implemented by the provided function or matches the provided query.
+   * @param {Function|Object} callbackFn Function that is called with each
+   * record and its id or a query object (see `RecordSet.prototype.where()`).
+   * @returns {Record} The first matching record or `undefined`.
+   */
+  find(callbackFn) {
+    return this.where(callbackFn).first;
+  }
+
+  /**
+   * Same as `find()`, except that it returns the id of the matching record.
+   * @param {Function|Object} callbackFn Function that is called with each
+   * record and its id or a query object (see `RecordSet.prototype.where()`).
+   * @returns {*} The id of the first matching record or `undefined`.
+   */
+  findId(callbackFn) {
+    for (const [id] of this.where(callbackFn)) return id;
+    return undefined;
+  }
+
+  /**
+   * Returns the ids of the records matching the query.
+   * @returns {Array} An array of record ids.
+   */
+  get ids() {
+    return Array.from(this, ([id]) => id);
+  }
+
+  /**
+   * Evaluates the query into a record set.
+   * @returns {RecordSet} A new record set with the records matching the query.
+   */
+  toRecordSet() {
+    const recordSet = new RecordSet({ model: this.#model });
+    for (const [id, record] of this) recordSet[$set](id, record);
+    return recordSet;
+  }
+
+  /**
+   * Evaluates the query into an array of records.
+   * @param {Object} options An object with options for the operation.
+   * @param {Boolean} options.flat Whether to convert the records to objects.
+   * @returns {Array} An array of the records matching the query.
+   */
+  toArray({ flat = false } = {}) {
+    return Array.from(this, ([, record]) =>
+      flat ? record.toObject() : record
+    );
+  }
+
+  get [Symbol.toStringTag]() {
+    return 'QueryBuilder';
+  }
+
+  // Private
+
+  #addStep(step) {
+    return new QueryBuilder({
+      model: this.#model,
+      source: this.#source,
+      steps: [...this.#steps, step],
+    });
+  }
+}
+
+export default QueryBuilder;
@@ -7,6 +7,8 @@ const {
   $recordModel,
   $recordTag,
   $cachedProperties,
+  $originalValues,
+  $isNew,
 } = symbols;
 
 class Record {
@@ -14,11 +16,15 @@ class Record {
   #recordHandler;
   #proxiedRecord;
   #cachedProperties;
+  #originalValues; // Field values before the first change since last clean
+  #isNew; // Whether the record has never been marked as clean
 
   constructor(value, handler) {
     this.#recordValue = value;
     this.#recordHandler = handler;
     this.#cachedProperties = new Map();
+    this.#originalValues = new Map();
+    this.#isNew = true;
     this.#proxiedRecord = new Proxy(this, this.#recordHandler);
     return this.#proxiedRecord;
   }
@@ -27,6 +33,18 @@ class Record {
     return this.#cachedProperties;
   }
 
+  get [$originalValues]() {
+    return this.#originalValues;
+  }
+
+  get [$isNew]() {
+    return this.#isNew;
+  }
+
+  set [$isNew](value) {
+    this.#isNew = value;
+  }
+
   /* istanbul ignore next */
   get [$recordHandler]() {
     return this.#recordHandler;
@@ -0,0 +1,125 @@
+import symbols from './symbols.js';
+import { compileAggregate, hashGroupKey } from './query.js';
+
+const { $set } = symbols;
+
+/**
+ * An extension of the native Map object, mapping group keys to record sets,
+ * nested groups or aggregated values. Keys are kept in order of first
+ * appearance and are not coerced to strings. Equal dates and arrays of equal
+ * values (e.g. keys of groups by multiple keys) refer to the same group.
+ */
+class RecordGroups extends Map {
+  #keys; // Map of key hashes to keys
+
+  constructor() {
+    super();
+    this.#keys = new Map();
+  }
+
+  set() {
+    throw new TypeError('You cannot directly modify RecordGroups.');
+  }
+
+  delete() {
+    throw new TypeError('You cannot directly modify RecordGroups.');
+  }
+
+  clear() {
+    throw new TypeError('You cannot directly modify RecordGroups.');
+  }
+
+  get(key) {
+    return super.get(this.#keys.get(hashGroupKey(key)));
+  }
+
+  has(key) {
+    return this.#keys.has(hashGroupKey(key));
+  }
+
+  /**
+   * Creates new groups with all groups that pass the test implemented by the
+   * provided function.
+   * @param {Function} predicateFn Function that is called for every group.
+   * The callback is called with the following arguments:
+   * - `value`: The record set, nested groups or aggregated values of the
+   * current group.
+   * - `key`: The key of the current group.
+   * - `groups`: The groups themselves.
+   * @returns {RecordGroups} New groups with all groups that pass the test.
+   */
+  having(predicateFn) {
+    if (typeof predicateFn !== 'function')
+      throw new TypeError('The provided predicate is not a function.');
+    const newGroups = new RecordGroups();
+    for (const [key, value] of this)
+      if (predicateFn(value, key, this)) newGroups[$set](key, value);
+    return newGroups;
+  }
+
+  /**
+   * Aggregates the records of each group. Nested groups are aggregated
+   * recursively.
+   * @param {Object} aggregations An object mapping the names of the resulting
+   * values to aggregations. Each aggregation is either an array of an
+   * aggregate function name and a key (e.g. `['sum', 'amount']` or
+   * `['count']`) or a function that is called with the record set and the
+   * key of the group.
+   * @returns {RecordGroups} New groups with the same keys, mapped to objects
+   * with the aggregated values.
+   */
+  aggregate(aggregations) {
+    if (!aggregations || typeof aggregations !== 'object')
+      throw new TypeError('The provided aggregations are not an object.');
+    const aggregators = Object.entries(aggregations).map(
+      ([name, aggregation]) => {
+        if (typeof aggregation === 'function') return [name, aggregation];
+        if (!Array.isArray(aggregation))
+          throw new TypeError(
+            `Aggregation ${name} is not an array or function.`
+          );
+        const aggregateFn = compileAggregate(...aggregation);
+        return [name, records => aggregateFn([...records.values()])];
+      }
+    );
+    return this.#aggregateWith(aggregators);
+  }
+
+  get [Symbol.toStringTag]() {
+    return 'RecordGroups';
+  }
+
+  static get [Symbol.species]() {
+    return Map;
+  }
+
+  // Protected (package internal-use only)
+
+  [$set](key, value) {
+    const hash = hashGroupKey(key);
+    if (!this.#keys.has(hash)) this.#keys.set(hash, key);
+    super.set(this.#keys.get(hash), value);
+  }
+
+  // Private
+
+  #aggregateWith(aggregators) {
+    const newGroups = new RecordGroups();
+    for (const [key, value] of this) {
+      if (value instanceof RecordGroups) {
+        newGroups[$set](key, value.#aggregateWith(aggregators));
+        continue;
+      }
+      if (!(value instanceof Map))
+        throw new TypeError('The groups have already been aggregated.');
+      const values = {};
+      aggregators.forEach(([name, aggregateFn]) => {
+        values[name] = aggregateFn(value, key);
+      });
+      newGroups[$set](key, values);
+    }
+    return newGroups;
+  }
+}
+
+export default RecordGroups;
@@ -1,9 +1,8 @@
 import Record from './record.js';
-import Schema from './schema.js';
-import { DuplicationError } from './errors.js';
+import { DuplicationError, ValidationError } from './errors.js';
 import { isUndefined, recordId } from './types.js';
 import symbols from './symbols.js';
-import { deepClone } from './utils.js';
+import { deepClone, dirtyTrackingMemberNames, isSameValue } from './utils.js';
 
 const {
   $fields,
@@ -19,7 +18,15 @@ const {
   $isRecord,
   $isDateField,
   $get,
+  $schema,
   $schemaObject,
+  $handleFieldUpdate,
+  $isLoading,
+  $checkUniqueness,
+  $validateReferences,
+  $transaction,
+  $originalValues,
+  $isNew,
 } = symbols;
 
 class RecordHandler {
@@ -54,10 +61,15 @@ class RecordHandler {
       this
     );
 
-    // Set fields and skip validation
-    this.#getFieldNames().forEach(field => {
-      if (recordData[field] === undefined) return;
-      this.set(newRecord, field, deepClone(recordData[field]), newRecord);
+    // Set fields, applying default values where no value is provided
+    this.#model[$fields].forEach((field, fieldName) => {
+      const value =
+        recordData[fieldName] === undefined
+          ? field.getDefaultValue(recordData)
+          : recordData[fieldName];
+      // Required fields are always set, so that they can be validated
+      if (value === undefined && !field.required) return;
+      this.set(newRecord, fieldName, deepClone(value), newRecord);
     });
 
     return [newRecordId, newRecord];
@@ -76,6 +88,9 @@ class RecordHandler {
     if (this.#hasProperty(property)) return this.#getProperty(record, property);
     // Method, get and call
     if (this.#hasMethod(property)) return this.#getMethod(record, property);
+    // Dirty tracking property or method, get or call
+    if (this.#isDirtyTrackingMember(property))
+      return this.#getDirtyTrackingMember(record, property);
     // Serialize method, call and return
     if (this.#isCallToSerialize(property))
       return RecordHandler.#recordToObject(record, this.#model, this);
@@ -90,6 +105,54 @@ class RecordHandler {
 
   set(record, property, value) {
     // Receiver is the same as record but never used (API compatibility)
+    // We check for $wrappedRecordValue to ensure the record is wrapped in a
+    // handler (i.e. initialized) and not a plain object (i.e. initializing).
+    const isInitialized = Boolean(record[$wrappedRecordValue]);
+    const recordValue = this.#validateSet(
+      record,
+      property,
+      value,
+      isInitialized
+    );
+    // Set field, ignore if field is not defined
+    /* istanbul ignore else*/
+    if (this.#hasField(property)) {
+      const oldValue = record[$recordValue][property];
+      if (isInitialized) {
+        this.#clearCachedProperties(record);
+        // Keep the value from before the first change, to track changes
+        if (!record[$originalValues].has(property))
+          record[$originalValues].set(property, oldValue);
+      }
+      record[$recordValue][property] = recordValue;
+      // Only notify the model about changes to initialized records.
+      if (isInitialized)
+        this.#model[$handleFieldUpdate](
+          record[$wrappedRecordValue],
+          property,
+          oldValue,
+          recordValue
+        );
+    }
+    return true;
+  }
+
+  /**
+   * Checks if the given data can be set on an existing record, without
+   * modifying it. Throws the same errors as setting each value would.
+   * @param {Record} record An existing record of the model.
+   * @param {Object} recordData An object of field names and values.
+   */
+  validateUpdate(record, recordData) {
+    Object.entries(recordData).forEach(([property, value]) => {
+      this.#validateSet(record, property, value, true);
+    });
+  }
+
+  // Private methods
+
+  // Returns the value that would be stored for the given field.
+  #validateSet(record, property, value, checkUniqueness) {
     const recordId = this.getRecordId(record);
     // Throw an error when trying to set a property, also catches
     // relationship reverses, safeguarding against issues there.
@@ -102,40 +165,56 @@ class RecordHandler {
       throw new TypeError(
         `${this.#getModelName()} record ${recordId} cannot set method ${property}.`
       );
-    // Validate and set field, warn if field is not defined
-    /* istanbul ignore else*/
-    if (this.#hasField(property)) {
-      const field = this.#getField(property);
-      RecordHandler.#setRecordField(
-        this.#model.name,
-        record,
-        field,
-        value,
-        this.#hasRelationshipField(property)
+    if (!this.#hasField(property)) return undefined;
+
+    const isRelationship = this.#hasRelationshipField(property);
+    const recordValue = RecordHandler.#validateFieldValue(
+      this.#model.name,
+      this.#getField(property),
+      value,
+      isRelationship
+    );
+    if (isRelationship && !this.#isLoading())
+      this.#getRelationshipObject(property)[$validateReferences](recordValue);
+    // New records are checked for duplicates by the model once complete.
+    if (checkUniqueness)
+      this.#model[$checkUniqueness](
+        record[$recordValue],
+        property,
+        recordValue
       );
-    }
-    return true;
+    return recordValue;
   }
 
-  // Private methods
-
-  static #setRecordField(modelName, record, field, value, isRelationship) {
+  static #validateFieldValue(modelName, field, value, isRelationship) {
     // Set the default value if the field is null or undefined
     const recordValue =
       !isRelationship && isUndefined(value)
         ? null
-        : field[$isDateField]
+        : field[$isDateField] && value !== null
         ? new Date(value)
+        : field.typeName === 'dateArray' && Array.isArray(value)
+        ? value.map(date => new Date(date))
         : value;
+    if (!isRelationship && field.required && recordValue === null)
+      // Throw an error if a required field is empty
+      throw new ValidationError(
+        `${modelName} record is missing a value for required field ${field.name}.`
+      );
     if (!isRelationship && !field.typeCheck(recordValue))
-      // Throw an error if the field value is invalid
+      // Throw an error if the field value is of the wrong type
       throw new TypeError(
-        `${modelName} record has invalid value for field ${field.name}.`
+        `${modelName} record has invalid value for field ${field.name} - expected type ${field.typeName}.`
       );
-    // We check for $wrappedRecordValue to ensure the record is wrapped in a
-    // handler (i.e. initialized) and not a plain object (i.e. initializing).
-    if (record[$wrappedRecordValue]) record[$cachedProperties].clear();
-    record[$recordValue][field.name] = recordValue;
+    if (!isRelationship) {
+      const [isValid, ruleName] = field.validate(recordValue);
+      // Throw an error if the field value fails a validation rule
+      if (!isValid)
+        throw new ValidationError(
+          `${modelName} record has invalid value for field ${field.name} - failed validation rule ${ruleName}.`
+        );
+    }
+    return recordValue;
   }
 
   static #recordToObject(record, model) {
@@ -172,8 +251,21 @@ class RecordHandler {
     return this.#model.name;
   }
 
-  #getFieldNames() {
-    return [...this.#model[$fields].keys()];
+  // References are checked once all records have been loaded.
+  #isLoading() {
+    const schema = this.#model[$schema];
+    return Boolean(schema && schema[$isLoading]);
+  }
+
+  #getSchemaObject() {
+    return this.#model[$schemaObject];
+  }
+
+  #clearCachedProperties(record) {
+    const transaction = this.#model[$transaction];
+    // Cached properties are invalidated once the transaction is committed
+    if (transaction) transaction.defer(() => record[$cachedProperties].clear());
+    else record[$cachedProperties].clear();
   }
 
   #getEmptyRecordTemplate() {
@@ -210,14 +302,14 @@ class RecordHandler {
         return record[$cachedProperties].get(property);
       const value = this.#model[$properties].get(property)(
         record[$wrappedRecordValue],
-        Schema[$schemaObject]
+        this.#getSchemaObject()
       );
       record[$cachedProperties].set(property, value);
       return value;
     }
     return this.#model[$properties].get(property)(
       record[$wrappedRecordValue],
-      Schema[$schemaObject]
+      this.#getSchemaObject()
     );
   }
 
@@ -228,7 +320,7 @@ class RecordHandler {
   #getMethod(record, method) {
     const methodFn = this.#model[$methods].get(method);
     return (...args) =>
-      methodFn(record[$wrappedRecordValue], ...args, Schema[$schemaObject]);
+      methodFn(record[$wrappedRecordValue], ...args, this.#getSchemaObject());
   }
 
   #hasRelationshipField(property) {
@@ -242,11 +334,56 @@ class RecordHandler {
   }
 
   #getRelationship(record, property) {
+    return this.#getRelationshipObject(property)[$get](
+      this.#getModelName(),
+      property,
+      record[$recordValue]
+    );
+  }
+
+  #getRelationshipObject(property) {
     // Get the relationship from the field only. The field name matches that of
     // the relationship, so the relationship key is ${property}.${property}`.
-    return this.#model[$relationships]
-      .get(`${property}.${property}`)
-      [$get](this.#getModelName(), property, record[$recordValue]);
+    return this.#model[$relationships].get(`${property}.${property}`);
+  }
+
+  #isDirtyTrackingMember(property) {
+    return dirtyTrackingMemberNames.includes(property);
+  }
+
+  #getDirtyTrackingMember(record, property) {
+    if (property === 'isDirty')
+      return record[$isNew] || Object.keys(this.#getChanges(record)).length > 0;
+    if (property === 'changes') return () => this.#getChanges(record);
+    if (property === 'revert')
+      return () => {
+        const originalValues = Object.fromEntries(
+          Object.entries(this.#getChanges(record)).map(
+            ([fieldName, [oldValue]]) => [fieldName, oldValue]
+          )
+        );
+        if (Object.keys(originalValues).length)
+          this.#model.updateRecord(this.getRecordId(record), originalValues);
+        return record[$wrappedRecordValue];
+      };
+    // markClean
+    return () => {
+      record[$originalValues].clear();
+      record[$isNew] = false;
+      return record[$wrappedRecordValue];
+    };
+  }
+
+  // Values set back to their original value (e.g. by rolling back a
+  // transaction) are not considered changes.
+  #getChanges(record) {
+    const changes = {};
+    record[$originalValues].forEach((oldValue, fieldName) => {
+      const newValue = record[$recordValue][fieldName];
+      if (!isSameValue(oldValue, newValue))
+        changes[fieldName] = [oldValue, newValue];
+    });
+    return changes;
   }
 
   #isCallToSerialize(property) {
@@ -258,9 +395,13 @@ class RecordHandler {
   }
 
   #isKnownSymbol(property) {
-    return [$recordModel, $recordTag, $recordValue, $isRecord].includes(
-      property
-    );
+    return [
+      $recordModel,
+      $recordTag,
+      $recordValue,
+      $cachedProperties,
+      $isRecord,
+    ].includes(property);
   }
 
   #getKnownSymbol(record, property) {
@@ -1,12 +1,23 @@
 import symbols from './symbols.js';
+import RecordGroups from './record_groups.js';
+import QueryBuilder from './query_builder.js';
+import {
+  aggregate,
+  compileMatcher,
+  compileOrder,
+  getGroupKey,
+} from './query.js';
 
 const {
   $scopes,
   $addScope,
-  $isRecord,
+  $predicates,
+  $addPredicate,
+  $indexes,
   $set,
   $delete,
   $clearRecordSetForTesting,
+  $ordinals,
 } = symbols;
 
 /**
@@ -25,6 +36,7 @@ class RecordSet extends Map {
     for (const [id, value] of iterable) this[$set](id, value);
 
     this.#copyScopesFromModel();
+    this.#copyPredicatesFromModel();
   }
 
   set() {
@@ -104,23 +116,25 @@ class RecordSet extends Map {
    * pass the test.
    */
   filter(callbackFn, { flat = false } = {}) {
-    if (flat)
-      return [...this.entries()].reduce((arr, [id, value]) => {
+    if (flat) {
+      const arr = [];
+      for (const [id, value] of this)
         if (callbackFn(value, id, this)) arr.push(value);
-        return arr;
-      }, []);
+      return arr;
+    }
 
-    return [...this.entries()].reduce((newRecordSet, [id, record]) => {
+    const newRecordSet = new RecordSet({ model: this.#model });
+    for (const [id, record] of this)
       if (callbackFn(record, id, this)) newRecordSet[$set](id, record);
-      return newRecordSet;
-    }, new RecordSet({ model: this.#model }));
+    return newRecordSet;
   }
 
   /**
    * Returns the value of the first element in the record set that satisfies
-   * the provided testing function.
-   * @param {Function} callbackFn Function that is called for every element of
-   * the record set. The callback is called with the following arguments:
+   * the provided testing function or query.
+   * @param {Function|Object} callbackFn Function that is called for every
+   * element of the record set or a query object (see `where()`). The callback
+   * is called with the following arguments:
    * - `value`: The value of the current element.
    * - `id`: The id of the current element.
    * - `recordSet`: The record set itself.
@@ -128,6 +142,7 @@ class RecordSet extends Map {
    * satisfies the provided testing function or `undefined`.
    */
   find(callbackFn) {
+    callbackFn = this.#toCallback(callbackFn);
     for (const [id, record] of this) {
       if (callbackFn(record, id, this)) return record;
     }
@@ -136,9 +151,10 @@ class RecordSet extends Map {
 
   /**
    * Returns the id of the first element in the record set that satisfies the
-   * provided testing function.
-   * @param {Function} callbackFn Function that is called for every element of
-   * the record set. The callback is called with the following arguments:
+   * provided testing function or query.
+   * @param {Function|Object} callbackFn Function that is called for every
+   * element of the record set or a query object (see `where()`). The callback
+   * is called with the following arguments:
    * - `value`: The value of the current element.
    * - `id`: The id of the current element.
    * - `recordSet`: The record set itself.
@@ -146,6 +162,7 @@ class RecordSet extends Map {
    * the provided testing function or `undefined`.
    */
   findId(callbackFn) {
+    callbackFn = this.#toCallback(callbackFn);
     for (const [id, value] of this) {
       if (callbackFn(value, id, this)) return id;
     }
@@ -181,6 +198,62 @@ class RecordSet extends Map {
     return newRecordSet;
   }
 
+  /**
+   * Returns all elements that are in the record set or the provided record
+   * set, in order of appearance in the record set, followed by the elements
+   * that only appear in the provided record set.
+   * @param {RecordSet} recordSet A record set of the same model.
+   * @returns {RecordSet} A new record set with the elements of both record
+   * sets.
+   */
+  union(recordSet) {
+    this.#validateSameModel(recordSet);
+    const newRecordSet = new RecordSet({ model: this.#model, iterable: this });
+    for (const [id, record] of recordSet)
+      if (!this.has(id)) newRecordSet[$set](id, record);
+    return newRecordSet;
+  }
+
+  /**
+   * Returns all elements that are in both the record set and the provided
+   * record set, in order of appearance in the record set.
+   * @param {RecordSet} recordSet A record set of the same model.
+   * @returns {RecordSet} A new record set with the elements of the record set
+   * that are also in the provided record set.
+   */
+  intersect(recordSet) {
+    this.#validateSameModel(recordSet);
+    return this.filter((record, id) => recordSet.has(id));
+  }
+
+  /**
+   * Returns all elements that are in the record set but not in the provided
+   * record set, in order of appearance in the record set.
+   * @param {RecordSet} recordSet A record set of the same model.
+   * @returns {RecordSet} A new record set with the elements of the record set
+   * that are not in the provided record set.
+   */
+  difference(recordSet) {
+    this.#validateSameModel(recordSet);
+    return this.filter((record, id) => !recordSet.has(id));
+  }
+
+  /**
+   * Returns all elements that are in either the record set or the provided
+   * record set, but not in both, in order of appearance in the record set,
+   * followed by the elements that only appear in the provided record set.
+   * @param {RecordSet} recordSet A record set of the same model.
+   * @returns {RecordSet} A new record set with the elements that are in only
+   * one of the record sets.
+   */
+  symmetricDifference(recordSet) {
+    this.#validateSameModel(recordSet);
+    const newRecordSet = this.difference(recordSet);
+    for (const [id, record] of recordSet)
+      if (!this.has(id)) newRecordSet[$set](id, record);
+    return newRecordSet;
+  }
+
   /**
    * Sorts the elements of the record set and returns a new sorted record set.
    * @param {Function} callbackFn Function that defined the sort order. The
@@ -201,6 +274,29 @@ class RecordSet extends Map {
     return newRecordSet;
   }
 
+  /**
+   * Sorts the elements of the record set by the specified keys and returns a
+   * new sorted record set.
+   * @param  {...any} orderings A list of orderings, each one either a key or
+   * an array of a key, a direction (`'asc'` or `'desc'`) and, optionally, the
+   * placement of empty values (`'first'` or `'last'`). Keys can be fields,
+   * properties or '.'-delimited relationship paths (e.g. `'payer.lastName'`).
+   * An object with `nulls` and `locale` options can be passed as the last
+   * argument.
+   * @returns {RecordSet} A new record set with the elements of the original
+   * record set sorted.
+   */
+  orderBy(...orderings) {
+    const lastOrdering = orderings[orderings.length - 1];
+    const options =
+      lastOrdering &&
+      typeof lastOrdering === 'object' &&
+      !Array.isArray(lastOrdering)
+        ? orderings.pop()
+        : {};
+    return this.sort(compileOrder(orderings, options));
+  }
+
   /**
    * Tests whether all elements in the record set pass the test implemented
    * by the provided function.
@@ -268,56 +364,215 @@ class RecordSet extends Map {
   }
 
   /**
-   * Group the elements of the record set by the specified key.
-   * @param {*} key A key to group the elements by.
-   * @returns {Object} An object with the keys being the values of the
-   * specified key and the values being record sets containing the elements
-   * of the original record set that have the same value for the specified key.
+   * Returns the sum of the values of the specified key.
+   * @param {String} key A field, property or '.'-delimited relationship path.
+   * @returns {Number} The sum of all values or `0` if there are none.
+   */
+  sum(key) {
+    return aggregate('sum', [...this.values()], key);
+  }
+
+  /**
+   * Returns the average of the values of the specified key.
+   * @param {String} key A field, property or '.'-delimited relationship path.
+   * @returns {Number} The average of all values or `null` if there are none.
+   */
+  average(key) {
+    return aggregate('average', [...this.values()], key);
+  }
+
+  /**
+   * Returns the median of the values of the specified key.
+   * @param {String} key A field, property or '.'-delimited relationship path.
+   * @returns {Number} The median of all values or `null` if there are none.
+   */
+  median(key) {
+    return aggregate('median', [...this.values()], key);
+  }
+
+  /**
+   * Returns the smallest of the values of the specified key.
+   * @param {String} key A field, property or '.'-delimited relationship path.
+   * @returns {*} The smallest value or `null` if there are none.
+   */
+  min(key) {
+    return aggregate('min', [...this.values()], key);
+  }
+
+  /**
+   * Returns the largest of the values of the specified key.
+   * @param {String} key A field, property or '.'-delimited relationship path.
+   * @returns {*} The largest value or `null` if there are none.
+   */
+  max(key) {
+    return aggregate('max', [...this.values()], key);
+  }
+
+  /**
+   * Returns the element with the smallest value for the specified key.
+   * @param {String} key A field, property or '.'-delimited relationship path.
+   * @returns {Record} The first element with the smallest value or `undefined`
+   * if there are no values.
+   */
+  minBy(key) {
+    return aggregate('minBy', [...this.values()], key);
+  }
+
+  /**
+   * Returns the element with the largest value for the specified key.
+   * @param {String} key A field, property or '.'-delimited relationship path.
+   * @returns {Record} The first element with the largest value or `undefined`
+   * if there are no values.
+   */
+  maxBy(key) {
+    return aggregate('maxBy', [...this.values()], key);
+  }
+
+  /**
+   * Counts the occurrences of each value of the specified key.
+   * @param {String} key A field, property or '.'-delimited relationship path.
+   * @returns {Map} A map of each distinct value to the number of its
+   * occurrences, in order of first appearance.
    */
-  groupBy(key) {
-    const res = {};
+  countBy(key) {
+    return aggregate('countBy', [...this.values()], key);
+  }
+
+  /**
+   * Returns the distinct values of the specified key.
+   * @param {String} key A field, property or '.'-delimited relationship path.
+   * @returns {Array} An array of distinct values, in order of first appearance.
+   */
+  distinct(key) {
+    return aggregate('distinct', [...this.values()], key);
+  }
+
+  /**
+   * Groups the elements of the record set by the specified keys.
+   * @param  {...any} keys A list of keys to group the elements by. Each key is
+   * a field, property or '.'-delimited relationship path or a function that is
+   * called with each element and its id and returns the key of its group.
+   * Related records are grouped by their id and empty values under `null`.
+   * An object with a `nested` option can be passed as the last argument.
+   * @returns {RecordGroups} A map of the values of the specified key to record
+   * sets containing the elements of the original record set that have the
+   * same value for the key. Elements grouped by multiple keys are mapped by
+   * arrays of the values of all keys or, if `nested` is `true`, by nested
+   * groups for each subsequent key.
+   */
+  groupBy(...keys) {
+    const lastKey = keys[keys.length - 1];
+    const { nested = false } =
+      lastKey && typeof lastKey === 'object' ? keys.pop() : {};
+    if (!keys.length) throw new TypeError('At least one key must be provided.');
+    keys.forEach(key => {
+      if (typeof key !== 'function' && (typeof key !== 'string' || !key))
+        throw new TypeError(`Invalid group key: ${key}.`);
+    });
+
+    const groups = new RecordGroups();
     for (const [id, record] of this) {
-      let keyValue = record[key];
-      if (keyValue !== undefined && keyValue !== null && keyValue[$isRecord]) {
-        keyValue = record[key].id;
+      const values = keys.map(key => getGroupKey(record, id, key));
+      let parentGroups = groups;
+      let groupKey = keys.length === 1 ? values[0] : values;
+      if (nested) {
+        groupKey = values.pop();
+        values.forEach(value => {
+          if (!parentGroups.has(value))
+            parentGroups[$set](value, new RecordGroups());
+          parentGroups = parentGroups.get(value);
+        });
       }
-      if (!res[keyValue]) {
-        res[keyValue] = new RecordSet({ model: this.#model });
-      }
-      res[keyValue][$set](id, record);
+      if (!parentGroups.has(groupKey))
+        parentGroups[$set](groupKey, new RecordSet({ model: this.#model }));
+      parentGroups.get(groupKey)[$set](id, record);
     }
-
-    return res;
+    return groups;
   }
 
   /**
    * Creates a new record set with all elements that pass the test implemented
-   * by the provided function.
-   * @param {Function} callbackFn Function that is called for every element of
-   * the record set. The callback is called with the following arguments:
+   * by the provided function or match the provided query.
+   * @param {Function|Object} callbackFn Function that is called for every
+   * element of the record set or a query object. The callback is called with
+   * the following arguments:
    * - `value`: The value of the current element.
    * - `id`: The id of the current element.
    * - `recordSet`: The record set itself.
+   *
+   * Each key of a query object is a field, property or '.'-delimited
+   * relationship path (e.g. `'payer.role'`), mapped to a value to match or an
+   * object of operators (e.g. `{ $gte: 18 }`). Indexed fields are used to
+   * narrow down the elements to test.
    * @returns {RecordSet} A new record set with all elements that pass the test.
    */
   where(callbackFn) {
-    return this.filter(callbackFn);
+    return this.filter(this.#toCallback(callbackFn));
+  }
+
+  /**
+   * Gets a new record set with all records that have been created or changed
+   * since they were last marked as clean.
+   * @returns {RecordSet} A new record set with all dirty records.
+   */
+  get dirty() {
+    return this.filter(record => record.isDirty);
   }
 
   /**
    * Creates a new record set with all elements that fail the test implemented
-   * by the provided function.
-   * @param {Function} callbackFn Function that is called for every element of
-   * the record set. The callback is called with the following arguments:
+   * by the provided function or do not match the provided query.
+   * @param {Function|Object} callbackFn Function that is called for every
+   * element of the record set or a query object (see `where()`). The callback
+   * is called with the following arguments:
    * - `value`: The value of the current element.
    * - `id`: The id of the current element.
    * - `recordSet`: The record set itself.
    * @returns {RecordSet} A new record set with all elements that fail the test.
    */
   whereNot(callbackFn) {
+    callbackFn = this.#toCallback(callbackFn);
     return this.filter((value, id, map) => !callbackFn(value, id, map));
   }
 
+  /**
+   * Creates a new record set with all elements whose value for the given field
+   * matches the provided value, using the field's index.
+   * @param {String} fieldName The name of an indexed field.
+   * @param {*} value The value to match.
+   * @returns {RecordSet} A new record set with all matching elements, in the
+   * order they were created in.
+   */
+  whereIndexed(fieldName, value) {
+    const ids = this.#getIndex(fieldName).get(value);
+    // Index buckets are ordered by when records were added to them, which
+    // differs from the creation order once indexed values are updated.
+    if (ids.length <= 1) return this.#fromIds(ids);
+    const ordinals = this.#model[$ordinals];
+    return this.#fromIds(
+      [...ids].sort((id1, id2) => ordinals.get(id1) - ordinals.get(id2))
+    );
+  }
+
+  /**
+   * Creates a new record set with all elements whose value for the given field
+   * is within the provided range, using the field's sorted index.
+   * @param {String} fieldName The name of a field with a sorted index.
+   * @param {Object} range An object with any of the following bounds:
+   * - `gt`: Values must be greater than this value.
+   * - `gte`: Values must be greater than or equal to this value.
+   * - `lt`: Values must be less than this value.
+   * - `lte`: Values must be less than or equal to this value.
+   * @returns {RecordSet} A new record set with all matching elements, sorted
+   * by the value of the field.
+   */
+  whereIndexedRange(fieldName, range) {
+    const index = this.#getIndex(fieldName);
+    if (typeof index.range !== 'function')
+      throw new TypeError(`Field ${fieldName} does not have a sorted index.`);
+    return this.#fromIds(index.range(range));
+  }
+
   /**
    * Iterates over the record set in batches of the specified size.
    * @param {Number} batchSize The size of each batch.
@@ -396,6 +651,16 @@ class RecordSet extends Map {
       }, new RecordSet({ model: this.#model }));
   }
 
+  /**
+   * Creates a lazy query over the elements of the record set. Unlike the
+   * methods of the record set, the steps of the query do not create
+   * intermediate record sets and are only evaluated when needed.
+   * @returns {QueryBuilder} A new query over the record set.
+   */
+  query() {
+    return new QueryBuilder({ model: this.#model, source: this });
+  }
+
   /**
    * Returns the first element in the record set.
    */
@@ -507,6 +772,13 @@ class RecordSet extends Map {
     });
   }
 
+  [$addPredicate](name) {
+    Object.defineProperty(this, name, {
+      configurable: false, // Prevents deletion
+      value: (...values) => this.#predicatedWhere(name, values),
+    });
+  }
+
   [$clearRecordSetForTesting]() {
     super.clear();
   }
@@ -525,6 +797,57 @@ class RecordSet extends Map {
     });
   }
 
+  #toCallback(callbackFnOrQuery) {
+    return compileMatcher(callbackFnOrQuery)(this.#model[$indexes]);
+  }
+
+  #validateSameModel(recordSet) {
+    if (!(recordSet instanceof RecordSet))
+      throw new TypeError(`${recordSet} is not a record set.`);
+    if (recordSet.#model !== this.#model)
+      throw new TypeError(
+        `Record set of model ${recordSet.#model.name} cannot be combined with a record set of model ${this.#model.name}.`
+      );
+  }
+
+  #getIndex(fieldName) {
+    const index = this.#model[$indexes].get(fieldName);
+    if (!index) throw new ReferenceError(`Field ${fieldName} is not indexed.`);
+    return index;
+  }
+
+  // Indexes contain all records of the model, so only keep the records that
+  // are part of this record set.
+  #fromIds(ids) {
+    const newRecordSet = new RecordSet({ model: this.#model });
+    for (const id of ids)
+      if (this.has(id)) newRecordSet[$set](id, this.get(id));
+    return newRecordSet;
+  }
+
+  #copyPredicatesFromModel() {
+    this.#model[$predicates].forEach((fieldName, name) => {
+      if (this[name]) return;
+      this[$addPredicate](name);
+    });
+  }
+
+  #predicatedWhere(predicateName, values) {
+    const fieldName = this.#model[$predicates].get(predicateName);
+    const field = this.#model.getField(fieldName);
+    values.forEach(value => {
+      if (!field.typeCheck(value))
+        throw new TypeError(
+          `Value ${value} is not a valid value for field ${fieldName}.`
+        );
+    });
+
+    const newRecordSet = new RecordSet({ model: this.#model });
+    for (const [id, record] of this)
+      if (values.includes(record[fieldName])) newRecordSet[$set](id, record);
+    return newRecordSet;
+  }
+
   #scopedWhere(scopeName) {
     const [matcherFn, comparatorFn] = this.#model[$scopes].get(scopeName);
     const newRecordSet = new RecordSet({ model: this.#model });
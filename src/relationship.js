@@ -1,19 +1,19 @@
 import { Field } from './field.js';
-import { Schema } from './schema.js';
 import { DuplicationError } from './errors.js';
-import { Model } from './model.js';
-import { validateName, reverseCapitalize } from './utils.js';
+import { validateRecordMemberName, reverseCapitalize } from './utils.js';
 import { recordId, recordIdArray } from './types.js';
 import symbols from './symbols.js';
 
 const {
-  $recordValue,
   $fields,
   $getField,
   $getProperty,
   $get,
-  $instances,
-  $handleExperimentalAPIMessage,
+  $recordValue,
+  $validateReferences,
+  $getDanglingReferences,
+  $validateRemoval,
+  $removeReferences,
 } = symbols;
 
 const relationshipEnum = {
@@ -23,8 +23,21 @@ const relationshipEnum = {
   manyToMany: 'manyToMany',
 };
 
+const integrityEnum = {
+  loose: 'loose',
+  strict: 'strict',
+};
+
+const onDeleteEnum = {
+  cascade: 'cascade',
+  nullify: 'nullify',
+  restrict: 'restrict',
+};
+
 export class Relationship {
   #type;
+  #integrity;
+  #onDelete;
   #from;
   #to;
   #name; // relationship field name in the from table
@@ -32,16 +45,19 @@ export class Relationship {
   #relationshipField; // relationship field in the from model
   #relationshipProperty; // relationship property in the to model
 
-  // TODO: V2 enhancements
-  // After the API for relationships is stable-ish, figure out a way to add
-  // cascade.
-  constructor({ from, to, type } = {}) {
-    Schema[$handleExperimentalAPIMessage](
-      'Relationships are experimental in the current version. There is neither validation of existence in foreign tables nor guarantee that associations work. Please use with caution.'
-    );
+  constructor({
+    from,
+    to,
+    type,
+    integrity = integrityEnum.loose,
+    onDelete = null,
+    models = new Map(),
+  } = {}) {
     this.#type = Relationship.#validateType(type);
+    this.#integrity = Relationship.#validateIntegrity(integrity);
+    this.#onDelete = Relationship.#validateOnDelete(onDelete);
     const [fromModel, fromName, toModel, toName] =
-      Relationship.#parseModelsAndNames(from, to, type);
+      Relationship.#parseModelsAndNames(from, to, type, models);
     this.#from = fromModel;
     this.#to = toModel;
     this.#name = fromName;
@@ -83,6 +99,79 @@ export class Relationship {
     };
   }
 
+  // Called by the record handler whenever the relationship field is set.
+  // Only relationships with strict integrity check for missing records.
+  [$validateReferences](value) {
+    if (this.#integrity !== integrityEnum.strict) return;
+    const missingIds = this.#getMissingIds(value);
+    if (missingIds.length)
+      throw new ReferenceError(
+        `${this.#from.name} record cannot reference missing ${
+          this.#to.name
+        } record(s) ${missingIds.join(', ')} via field ${this.#name}.`
+      );
+  }
+
+  [$getDanglingReferences]() {
+    const danglingReferences = [];
+    this.#from.records.forEach((record, recordId) => {
+      this.#getMissingIds(record[$recordValue][this.#name]).forEach(
+        missingId => {
+          danglingReferences.push({
+            model: this.#from.name,
+            recordId,
+            field: this.#name,
+            target: this.#to.name,
+            missingId,
+          });
+        }
+      );
+    });
+    return danglingReferences;
+  }
+
+  // Called by the given model before one of its records is removed. Throws if
+  // the record is referenced via a relationship that restricts removal or if
+  // any record the removal cascades to cannot be removed.
+  [$validateRemoval](model, recordId, visitedIds) {
+    if (model !== this.#to || !this.#onDelete) return;
+    const referencingIds = this.#getReferencingIds(recordId);
+    if (
+      this.#onDelete === onDeleteEnum.cascade &&
+      Relationship.#isToOne(this.#type)
+    )
+      referencingIds.forEach(referencingId =>
+        this.#from[$validateRemoval](referencingId, visitedIds)
+      );
+    if (this.#onDelete === onDeleteEnum.restrict && referencingIds.length)
+      throw new ReferenceError(
+        `${
+          this.#to.name
+        } record ${recordId} cannot be removed, as it is referenced by ${
+          this.#from.name
+        } record(s) ${referencingIds.join(', ')} via field ${this.#name}.`
+      );
+  }
+
+  // Called by the given model after one of its records is removed. Records
+  // referencing it via a toMany field always have the id removed from their
+  // field value, whereas toOne fields are either nullified or cascaded.
+  [$removeReferences](model, recordId) {
+    if (model !== this.#to || !this.#onDelete) return;
+    this.#getReferencingIds(recordId).forEach(referencingId => {
+      // Cascading removals might have already removed the record
+      if (!this.#from.records.has(referencingId)) return;
+      const record = this.#from.records.get(referencingId);
+      if (Relationship.#isToMany(this.#type))
+        record[this.#name] = record[$recordValue][this.#name].filter(
+          id => id !== recordId
+        );
+      else if (this.#onDelete === onDeleteEnum.cascade)
+        this.#from.removeRecord(referencingId);
+      else record[this.#name] = null;
+    });
+  }
+
   [$get](modelName, property, record) {
     // When from model is specified, apply the relationship as-is
     if (modelName === this.#from.name && property === this.#name) {
@@ -111,25 +200,25 @@ export class Relationship {
     return this.#to.records.only(...associationValues);
   }
 
+  #getReferencingIds(recordId) {
+    return [...this.#from.records.whereIndexed(this.#name, recordId).keys()];
+  }
+
+  #getMissingIds(value) {
+    if (value === null || value === undefined) return [];
+    const ids = Array.isArray(value) ? value : [value];
+    return ids.filter(id => !this.#to.records.has(id));
+  }
+
   #getAssociatedRecordsReverse(record) {
-    const associationValue = record.id;
-    const matcher = Relationship.#isToOne(this.#type)
-      ? associatedRecord =>
-          associatedRecord[$recordValue][this.#name] === associationValue
-      : associatedRecord => {
-          const associatedRecordValue =
-            associatedRecord[$recordValue][this.#name];
-          if ([undefined, null].includes(associatedRecordValue)) return false;
-          return associatedRecord[$recordValue][this.#name].includes(
-            associationValue
-          );
-        };
-    // Use a regular get for fromOne relationships for performance
-    if (Relationship.#isFromOne(this.#type)) {
-      return this.#from.records.find(matcher);
-    }
-    // Use a where query for fromMany relationships, safeguard against empty value
-    return this.#from.records.where(matcher);
+    // Relationship fields are indexed by the from model, so use the index for
+    // both toOne and toMany relationships
+    const associatedRecords = this.#from.records.whereIndexed(
+      this.#name,
+      record.id
+    );
+    if (Relationship.#isFromOne(this.#type)) return associatedRecords.first;
+    return associatedRecords;
   }
 
   static #isToOne(type) {
@@ -159,8 +248,6 @@ export class Relationship {
   }
 
   static #createField(name, relationshipType) {
-    // TODO: V2 enhancements
-    // Potentially add a check if the other model contains the ids(s)?
     const isMultiple = Relationship.#isToMany(relationshipType);
     const type = isMultiple ? recordIdArray : recordId;
     // TODO: V2 enhancements
@@ -181,13 +268,27 @@ export class Relationship {
     return relationshipType;
   }
 
-  static #validateModel(modelData) {
+  static #validateIntegrity(integrity) {
+    if (!Object.values(integrityEnum).includes(integrity))
+      throw new TypeError(`Invalid relationship integrity: ${integrity}.`);
+    return integrity;
+  }
+
+  static #validateOnDelete(onDelete) {
+    if (onDelete !== null && !Object.values(onDeleteEnum).includes(onDelete))
+      throw new TypeError(
+        `Invalid relationship onDelete behavior: ${onDelete}.`
+      );
+    return onDelete;
+  }
+
+  static #validateModel(modelData, models) {
     const modelName =
       typeof modelData === 'string' ? modelData : modelData.model;
-    if (!Model[$instances].has(modelName))
+    if (!models.has(modelName))
       throw new ReferenceError(`Model ${modelName} does not exist.`);
 
-    return Model[$instances].get(modelName);
+    return models.get(modelName);
   }
 
   static #createName(type, to) {
@@ -200,10 +301,12 @@ export class Relationship {
     if (Relationship.#isFromMany(type)) return `${reverseCapitalize(from)}Set`;
   };
 
-  static #validateModelParams(modelData) {
-    const model = Relationship.#validateModel(modelData);
+  static #validateModelParams(modelData, models) {
+    const model = Relationship.#validateModel(modelData, models);
     const name =
-      typeof modelData === 'string' ? null : validateName(modelData.name);
+      typeof modelData === 'string'
+        ? null
+        : validateRecordMemberName(modelData.name);
     if (name !== null && model[$fields].has(name))
       throw new DuplicationError(
         `Field ${name} already exists in ${model.name}.`
@@ -211,10 +314,10 @@ export class Relationship {
     return [model, name];
   }
 
-  static #parseModelsAndNames(from, to, type) {
+  static #parseModelsAndNames(from, to, type, models) {
     let fromModel, fromName, toModel, toName;
-    [fromModel, fromName] = Relationship.#validateModelParams(from);
-    [toModel, toName] = Relationship.#validateModelParams(to);
+    [fromModel, fromName] = Relationship.#validateModelParams(from, models);
+    [toModel, toName] = Relationship.#validateModelParams(to, models);
     if (fromName === null)
       fromName = Relationship.#createName(type, toModel.name);
     if (toName === null)
@@ -1,8 +1,17 @@
 import { Model } from './model.js';
 import { Relationship } from './relationship.js';
 import { Serializer } from './serializer.js';
-import { ExperimentalAPIUsageError } from './errors.js';
-import { validateObjectWithUniqueName, validateName } from './utils.js';
+import { EventEmitter, recordEvents } from './event_emitter.js';
+import { Transaction } from './transaction.js';
+import { History } from './history.js';
+import { validateStorage, toStorageChange } from './storage.js';
+import { DuplicationError, ExperimentalAPIUsageError } from './errors.js';
+import {
+  validateObjectWithUniqueName,
+  validateName,
+  validateRecordMemberName,
+} from './utils.js';
+import { standardTypes } from './types.js';
 import symbols from './symbols.js';
 
 const {
@@ -10,39 +19,83 @@ const {
   $addRelationshipAsProperty,
   $handleExperimentalAPIMessage,
   $clearCachedProperties,
-  $clearSchemaForTesting,
   $schemaObject,
+  $emit,
+  $types,
+  $getDanglingReferences,
+  $transaction,
+  $recordChange,
+  $restoreRecordOrder,
+  $isLoading,
 } = symbols;
 
 export class Schema {
-  static #models = new Map();
-  static #serializers = new Map();
-  static #schemaObject = {};
-  static #instantiated = false;
+  #models;
+  #relationships;
+  #serializers;
+  #schemaObject;
+  #config;
+  #emitter;
+  #types;
+  #transaction;
+  #history;
+  #dependencies; // Map of model names to the model names they reference
+  #isLoading;
+  #storage;
+  #storageChanges; // Changes waiting to be saved by the storage
+  #storageWrites; // Promise chain, so that changes are saved in order
+  #storageError; // The first error that occurred while saving changes
+  #isHydrating;
 
   static defaultConfig = {
     experimentalAPIMessages: 'warn',
-  };
-
-  static config = {
-    ...Schema.defaultConfig,
+    history: false,
   };
 
   /**
    * Creates a new schema with the given name and options.
    * @param {Object} schemaData Data for the schema to be created.
-   * @returns The schema singleton.
+   * @returns A new schema instance.
    */
-  static create({
+  static create(schemaData = {}) {
+    return new Schema(schemaData);
+  }
+
+  constructor({
     models = [],
     relationships = [],
     serializers = [],
+    types = {},
     config = {},
+    storage = null,
   } = {}) {
-    if (Schema.#instantiated)
-      throw new Error('Only one schema can be created.');
+    this.#models = new Map();
+    this.#relationships = [];
+    this.#types = new Map();
+    this.#serializers = new Map();
+    this.#schemaObject = {};
+    this.#config = { ...Schema.defaultConfig };
+    this.#emitter = new EventEmitter(recordEvents);
+    this.#transaction = null;
+    this.#dependencies = new Map();
+    this.#isLoading = false;
+    this.#storage = validateStorage(storage);
+    this.#storageChanges = [];
+    this.#storageWrites = Promise.resolve();
+    this.#storageError = null;
+    this.#isHydrating = false;
+
+    this.#parseConfig(config);
+    this.#history = this.#config.history ? new History() : null;
+    if (this.#storage)
+      recordEvents.forEach(eventName =>
+        this.#emitter.on(eventName, event => this.#queueStorageChange(event))
+      );
 
-    Schema.#parseConfig(config);
+    // Custom types need to be available before any models are created.
+    Object.entries(types).forEach(([typeName, typeCheck]) =>
+      this.#createType(typeName, typeCheck)
+    );
 
     models.forEach(modelData => {
       // Perform name validation for fields, properties and methods here
@@ -58,40 +111,70 @@ export class Schema {
         throw new Error(
           `Model ${modelData.name} has duplicate field, property or method names.`
         );
-      names.forEach(name => validateName(name));
+      names.forEach(name => validateRecordMemberName(name));
 
-      Schema.#createModel(modelData);
+      this.#createModel(modelData);
     });
 
     relationships.forEach(relationship =>
-      Schema.#createRelationship(relationship)
+      this.#createRelationship(relationship)
     );
 
-    serializers.forEach(serializer => Schema.#createSerializer(serializer));
+    serializers.forEach(serializer => this.#createSerializer(serializer));
 
     // Lazy properties, models and serializers require initial set up as they
     // depend on other models or serializers.
-    Schema.#schemaObject = {
-      models: Object.fromEntries([...Schema.#models.entries()]),
-      serializers: Object.fromEntries([...Schema.#serializers.entries()]),
+    this.#schemaObject = {
+      models: Object.fromEntries([...this.#models.entries()]),
+      serializers: Object.fromEntries([...this.#serializers.entries()]),
     };
-
-    Schema.#instantiated = true;
-
-    return Schema;
   }
 
   /**
    * Clears all cached properties of all models.
-   * @returns The schema singleton.
+   * @returns The schema instance.
    */
-  static clearPropertyCache() {
-    Schema[$handleExperimentalAPIMessage](
+  clearPropertyCache() {
+    this[$handleExperimentalAPIMessage](
       'Clearing the property cache of all models should only be done if something is known to have caused the cache to contain stale data. Please use with caution.'
     );
-    Schema.#models.forEach(model => model[$clearCachedProperties]());
+    this.#models.forEach(model => model[$clearCachedProperties]());
 
-    return Schema;
+    return this;
+  }
+
+  /**
+   * Adds a listener for the given record event on all models.
+   * @param {String} eventName One of `'create'`, `'update'` or `'remove'`.
+   * @param {Function} listener A function to be called with the event data.
+   * @returns The schema instance.
+   */
+  on(eventName, listener) {
+    this.#emitter.on(eventName, listener);
+    return this;
+  }
+
+  /**
+   * Adds a listener for the given record event on all models, which is
+   * removed after its first call.
+   * @param {String} eventName One of `'create'`, `'update'` or `'remove'`.
+   * @param {Function} listener A function to be called with the event data.
+   * @returns The schema instance.
+   */
+  once(eventName, listener) {
+    this.#emitter.on(eventName, listener, { once: true });
+    return this;
+  }
+
+  /**
+   * Removes a listener from the given record event.
+   * @param {String} eventName One of `'create'`, `'update'` or `'remove'`.
+   * @param {Function} listener The listener to remove.
+   * @returns The schema instance.
+   */
+  off(eventName, listener) {
+    this.#emitter.off(eventName, listener);
+    return this;
   }
 
   /**
@@ -99,8 +182,8 @@ export class Schema {
    * @param {String} name The name of the model to retrieve.
    * @returns The model or `undefined` if it does not exist.
    */
-  static getModel(name) {
-    return Schema.#models.get(name);
+  getModel(name) {
+    return this.#models.get(name);
   }
 
   /**
@@ -108,19 +191,272 @@ export class Schema {
    * @param {String} name The name of the serializer to retrieve.
    * @returns The serializer or `undefined` if it does not exist.
    */
-  static getSerializer(name) {
-    return Schema.#serializers.get(name);
+  getSerializer(name) {
+    return this.#serializers.get(name);
+  }
+
+  /**
+   * Calls the given function in a transaction. Changes made to any model's
+   * records during the call are either all committed or, if the function
+   * throws, all rolled back. Record events and invalidation of cached
+   * properties are deferred until the transaction is committed. Nested
+   * transactions only roll back their own changes.
+   * @param {Function} fn A synchronous function, called with the schema.
+   * @returns The return value of the function.
+   */
+  transaction(fn) {
+    if (typeof fn !== 'function')
+      throw new TypeError('Transaction callback is not a function.');
+
+    const isNested = this.#transaction !== null;
+    const transaction = isNested ? this.#transaction : new Transaction();
+    const savepoint = transaction.savepoint();
+    this.#transaction = transaction;
+
+    let result;
+    try {
+      result = fn(this);
+      if (result && typeof result.then === 'function')
+        throw new TypeError('Transaction callback must be synchronous.');
+    } catch (error) {
+      transaction.rollback(savepoint);
+      if (!isNested) {
+        this.#transaction = null;
+        this.#restoreRecordOrder();
+      }
+      throw error;
+    }
+
+    if (!isNested) {
+      this.#transaction = null;
+      this.#restoreRecordOrder();
+      const changes = transaction.commit();
+      if (this.#history) this.#history.push(changes);
+    }
+    return result;
+  }
+
+  /**
+   * Reverts the last operation or transaction. Requires history to be enabled.
+   * @returns {Array} The descriptions of the reverted changes, each an object
+   * containing the change `type`, the `model` name and the `recordId`, or
+   * `null` if there is nothing to undo.
+   */
+  undo() {
+    const history = this.#getHistory();
+    return this.#applyHistory(() => history.undo());
+  }
+
+  /**
+   * Reapplies the last undone operation or transaction. Requires history to
+   * be enabled.
+   * @returns {Array} The descriptions of the reapplied changes or `null` if
+   * there is nothing to redo.
+   */
+  redo() {
+    const history = this.#getHistory();
+    return this.#applyHistory(() => history.redo());
+  }
+
+  /**
+   * Marks the current state of the data with the given name, so that it can
+   * be restored later. Requires history to be enabled.
+   * @param {String} name The name of the checkpoint.
+   * @returns The schema instance.
+   */
+  checkpoint(name) {
+    this.#getHistory().checkpoint(name);
+    return this;
+  }
+
+  /**
+   * Undoes or redoes operations until the data is in the state marked by the
+   * checkpoint with the given name. Requires history to be enabled.
+   * @param {String} name The name of the checkpoint.
+   * @returns The schema instance.
+   */
+  restore(name) {
+    const history = this.#getHistory();
+    this.#applyHistory(() => history.restore(name));
+    return this;
+  }
+
+  /**
+   * Gets the change descriptions of all operations that can be undone
+   * (`past`) and redone (`future`), as well as the names of all
+   * `checkpoints`. Requires history to be enabled.
+   */
+  get history() {
+    return this.#getHistory({ allowDuringTransaction: true }).entries;
+  }
+
+  /**
+   * Checks all relationships for references to records that do not exist,
+   * regardless of their integrity setting. Useful after loading data in bulk.
+   * @returns {Array} An array of objects describing each dangling reference,
+   * containing the `model`, `recordId` and `field` of the referencing record,
+   * as well as the `target` model and the `missingId`.
+   */
+  validateIntegrity() {
+    return this.#relationships.flatMap(relationship =>
+      relationship[$getDanglingReferences]()
+    );
+  }
+
+  /**
+   * Gets the records of all models, as an object mapping each model name to
+   * an array of its records in the shape of `Record.prototype.toObject()`.
+   * Used by JSON.stringify().
+   * @returns {Object} The records of all models.
+   */
+  toJSON() {
+    return Object.fromEntries(
+      [...this.#models.entries()].map(([modelName, model]) => [
+        modelName,
+        model.records.toArray({ flat: true }),
+      ])
+    );
+  }
+
+  /**
+   * Serializes the records of all models to a JSON string, which can be
+   * loaded via `Schema.prototype.load()`.
+   * @returns {String} The JSON representation of the records.
+   */
+  dump() {
+    return JSON.stringify(this);
+  }
+
+  /**
+   * Creates the records of all models from the given data, as produced by
+   * `Schema.prototype.dump()` or `Schema.prototype.toJSON()`. Records are
+   * created in a single transaction, after the records of the models they
+   * reference, while relationship references are only checked once all
+   * records have been created.
+   * @param {String|Object} json A JSON string or an object mapping model names
+   * to arrays of record data.
+   * @param {Object} options An object with options for the operation.
+   * @param {Boolean} options.markClean Whether to mark the loaded records as
+   * clean, so that they are not dirty until changed.
+   * @returns The schema instance.
+   */
+  load(json, { markClean = false } = {}) {
+    const data = typeof json === 'string' ? JSON.parse(json) : json;
+    if (!data || typeof data !== 'object' || Array.isArray(data))
+      throw new TypeError('Schema data must be an object.');
+    Object.entries(data).forEach(([modelName, records]) => {
+      if (!this.#models.has(modelName))
+        throw new ReferenceError(
+          `Model ${modelName} does not exist in the schema.`
+        );
+      if (!Array.isArray(records))
+        throw new TypeError(`Records of model ${modelName} must be an array.`);
+    });
+
+    const loadedRecords = [];
+    this.transaction(() => {
+      this.#isLoading = true;
+      try {
+        this.#getLoadOrder().forEach(modelName => {
+          if (!data[modelName]) return;
+          const model = this.#models.get(modelName);
+          data[modelName].forEach(recordData =>
+            loadedRecords.push(model.createRecord(recordData))
+          );
+        });
+      } finally {
+        this.#isLoading = false;
+      }
+
+      const danglingReferences = this.validateIntegrity();
+      if (danglingReferences.length) {
+        const [{ model, recordId, field, target, missingId }] =
+          danglingReferences;
+        throw new ReferenceError(
+          `Loaded data contains ${danglingReferences.length} dangling reference(s), e.g. ${model} record ${recordId} references missing ${target} record ${missingId} in field ${field}.`
+        );
+      }
+    });
+    if (markClean) loadedRecords.forEach(record => record.markClean());
+    return this;
+  }
+
+  /**
+   * Creates the records of all models from the schema's storage, as if
+   * loaded via `Schema.prototype.load()`. Loaded records are marked as clean
+   * and are not saved back to the storage.
+   * @returns {Promise} A promise resolving to the schema.
+   */
+  async hydrate() {
+    const storage = this.#getStorage();
+    const entries = await Promise.all(
+      [...this.#models.entries()].map(async ([modelName, model]) => [
+        modelName,
+        await storage.load(model),
+      ])
+    );
+    this.#isHydrating = true;
+    try {
+      this.load(Object.fromEntries(entries.filter(([, records]) => records)), {
+        markClean: true,
+      });
+    } finally {
+      this.#isHydrating = false;
+    }
+    return this;
+  }
+
+  /**
+   * Waits for all record changes to be saved by the schema's storage,
+   * including any changes the storage has deferred storing.
+   * @returns {Promise} A promise resolving to the schema or rejecting with
+   * the first error that occurred while saving changes since the last call.
+   */
+  async flushStorage() {
+    const storage = this.#getStorage();
+    this.#saveStorageChanges();
+    await this.#storageWrites;
+    if (typeof storage.flush === 'function')
+      await Promise.resolve()
+        .then(() => storage.flush())
+        .catch(error => {
+          if (!this.#storageError) this.#storageError = error;
+        });
+    if (this.#storageError) {
+      const error = this.#storageError;
+      this.#storageError = null;
+      throw error;
+    }
+    return this;
+  }
+
+  /**
+   * Removes all records from the schema's storage, once all pending changes
+   * have been saved. Records in the schema are not affected.
+   * @returns {Promise} A promise resolving to the schema.
+   */
+  async clearStorage() {
+    await this.flushStorage();
+    await this.#storage.clear();
+    return this;
   }
 
   /**
    * Gets all models in the schema.
    */
-  static get models() {
-    return Schema.#models;
+  get models() {
+    return this.#models;
+  }
+
+  /**
+   * Gets the configuration of the schema.
+   */
+  get config() {
+    return this.#config;
   }
 
-  static get [$schemaObject]() {
-    return Schema.#schemaObject;
+  get [$schemaObject]() {
+    return this.#schemaObject;
   }
 
   /**
@@ -128,9 +464,9 @@ export class Schema {
    * @param {String} pathName A '.'-delimited path to the data.
    * @returns The value at the specified path.
    */
-  static get(pathName) {
+  get(pathName) {
     const [modelName, recordId, ...rest] = pathName.split('.');
-    const model = Schema.getModel(modelName);
+    const model = this.getModel(modelName);
 
     if (!model)
       throw new ReferenceError(
@@ -153,9 +489,31 @@ export class Schema {
 
   // Protected (package internal-use only)
 
+  get [$types]() {
+    return this.#types;
+  }
+
+  get [$transaction]() {
+    return this.#transaction;
+  }
+
+  get [$isLoading]() {
+    return this.#isLoading;
+  }
+
+  // Changes are only tracked during a transaction or if history is enabled.
+  [$recordChange](change) {
+    if (this.#transaction) this.#transaction.addChange(change);
+    else if (this.#history) this.#history.push([change]);
+  }
+
+  [$emit](eventName, event) {
+    this.#emitter.emit(eventName, event);
+  }
+
   /* istanbul ignore next */
-  static [$handleExperimentalAPIMessage](message) {
-    const { experimentalAPIMessages } = Schema.config;
+  [$handleExperimentalAPIMessage](message) {
+    const { experimentalAPIMessages } = this.#config;
     if (experimentalAPIMessages === 'warn') {
       console.warn(message);
     } else if (experimentalAPIMessages === 'error') {
@@ -163,40 +521,45 @@ export class Schema {
     }
   }
 
-  /* istanbul ignore next */
-  static [$clearSchemaForTesting]() {
-    Schema.#models.clear();
-    Schema.#serializers.clear();
-    Schema.#schemaObject = {};
-    Schema.#instantiated = false;
-  }
-
   // Private
 
-  static #createModel(modelData) {
+  #createType(typeName, typeCheck) {
+    validateName(typeName);
+    if (
+      standardTypes[typeName] ||
+      typeName === 'enum' ||
+      this.#types.has(typeName)
+    )
+      throw new DuplicationError(`Type ${typeName} already exists.`);
+    if (typeof typeCheck !== 'function')
+      throw new TypeError(`Type ${typeName} is not a function.`);
+    this.#types.set(typeName, typeCheck);
+  }
+
+  #createModel(modelData) {
     const modelName = validateName(modelData.name);
     validateObjectWithUniqueName(
       { objectType: 'Model', parentType: 'Schema' },
       modelData,
-      [...Schema.#models.keys()]
+      [...this.#models.keys()]
     );
-    const model = new Model(modelData);
-    Schema.#models.set(modelName, model);
+    const model = new Model(modelData, this);
+    this.#models.set(modelName, model);
   }
 
-  static #createSerializer(serializerData) {
+  #createSerializer(serializerData) {
     const serializerName = validateName(serializerData.name);
     validateObjectWithUniqueName(
       { objectType: 'Serializer', parentType: 'Schema' },
       serializerData,
-      [...Schema.#serializers.keys()]
+      [...this.#serializers.keys()]
     );
     const serializer = new Serializer(serializerData);
-    Schema.#serializers.set(serializerName, serializer);
+    this.#serializers.set(serializerName, serializer);
   }
 
-  static #createRelationship(relationshipData) {
-    const { from, to, type /* , cascade */ } = relationshipData;
+  #createRelationship(relationshipData) {
+    const { from, to, type, integrity, onDelete } = relationshipData;
     [from, to].forEach(model => {
       if (!['string', 'object'].includes(typeof model))
         throw new TypeError(`Invalid relationship model: ${model}.`);
@@ -205,8 +568,8 @@ export class Schema {
     const fromModelName = typeof from === 'string' ? from : from.model;
     const toModelName = typeof to === 'string' ? to : to.model;
 
-    const fromModel = Schema.#models.get(fromModelName);
-    const toModel = Schema.#models.get(toModelName);
+    const fromModel = this.#models.get(fromModelName);
+    const toModel = this.#models.get(toModelName);
     if (!fromModel)
       throw new ReferenceError(
         `Model ${fromModelName} not found in schema when attempting to create a relationship.`
@@ -216,20 +579,104 @@ export class Schema {
         `Model ${toModelName} not found in schema when attempting to create a relationship.`
       );
 
-    const relationship = new Relationship({ from, to, type });
+    this[$handleExperimentalAPIMessage](
+      'Relationships are experimental in the current version. Existence of referenced records is only validated for relationships with strict integrity and there is no guarantee that associations work. Please use with caution.'
+    );
+
+    const relationship = new Relationship({
+      from,
+      to,
+      type,
+      integrity,
+      onDelete,
+      models: this.#models,
+    });
+
+    if (!this.#dependencies.has(fromModelName))
+      this.#dependencies.set(fromModelName, new Set());
+    this.#dependencies.get(fromModelName).add(toModelName);
 
     fromModel[$addRelationshipAsField](relationship);
     toModel[$addRelationshipAsProperty](relationship);
+    this.#relationships.push(relationship);
+  }
+
+  // Referenced models come before the models referencing them. Models that
+  // reference each other are ordered as they were defined.
+  #getLoadOrder() {
+    const order = [];
+    const visited = new Set();
+    const visit = modelName => {
+      if (visited.has(modelName)) return;
+      visited.add(modelName);
+      const dependencies = this.#dependencies.get(modelName) || [];
+      dependencies.forEach(visit);
+      order.push(modelName);
+    };
+    [...this.#models.keys()].forEach(visit);
+    return order;
+  }
+
+  #getStorage() {
+    if (!this.#storage)
+      throw new ReferenceError(
+        'Storage is not set for this schema. Set the "storage" option to enable it.'
+      );
+    return this.#storage;
+  }
+
+  // Changes are saved in batches, so that all events emitted synchronously,
+  // e.g. when a transaction is committed, are saved together.
+  #queueStorageChange(event) {
+    if (this.#isHydrating) return;
+    this.#storageChanges.push(toStorageChange(event));
+    if (this.#storageChanges.length === 1)
+      queueMicrotask(() => this.#saveStorageChanges());
+  }
+
+  #saveStorageChanges() {
+    if (!this.#storageChanges.length) return;
+    const changes = this.#storageChanges;
+    this.#storageChanges = [];
+    this.#storageWrites = this.#storageWrites
+      .then(() => this.#storage.save(changes))
+      .catch(error => {
+        if (!this.#storageError) this.#storageError = error;
+      });
+  }
+
+  // History entries are applied in a transaction, so that the record events of
+  // the applied changes are emitted once all of them have been applied.
+  #applyHistory(fn) {
+    return this.transaction(fn);
+  }
+
+  // Records restored during a transaction (e.g. by undoing their removal) are
+  // only reordered once it is over, so that they are not reordered each time.
+  #restoreRecordOrder() {
+    this.#models.forEach(model => model[$restoreRecordOrder]());
+  }
+
+  #getHistory({ allowDuringTransaction = false } = {}) {
+    if (!this.#history)
+      throw new ReferenceError(
+        'History is not enabled for this schema. Set the "history" config option to enable it.'
+      );
+    if (this.#transaction && !allowDuringTransaction)
+      throw new Error('History cannot be used during a transaction.');
+    return this.#history;
   }
 
-  static #parseConfig(config = {}) {
+  #parseConfig(config = {}) {
     if (!config) return;
     ['experimentalAPIMessages'].forEach(key => {
       if (config[key] !== undefined) {
         if (['warn', 'error', 'off'].includes(config[key]))
-          Schema.config[key] = config[key];
+          this.#config[key] = config[key];
       }
     });
+    if (typeof config.history === 'boolean')
+      this.#config.history = config.history;
   }
 }
 
@@ -0,0 +1,63 @@
+import { deepClone } from './utils.js';
+
+const storageMethods = ['load', 'save', 'clear'];
+
+/**
+ * Validates a storage adapter, which must implement the following methods,
+ * each of which may return a promise:
+ * - `load(model)`: Returns an array of the stored records of the given model
+ * or `null` if there are none.
+ * - `save(changes)`: Stores an array of changes, as created by
+ * `toStorageChange()`, in the order they were made.
+ * - `clear()`: Removes all stored records.
+ *
+ * Adapters that defer storing saved changes (e.g. to combine them) may also
+ * implement a `flush()` method, which stores them immediately.
+ * @param {Object} storage The storage adapter to validate.
+ * @returns The storage adapter or `null` if none is given.
+ */
+export const validateStorage = storage => {
+  if (storage === null || storage === undefined) return null;
+  if (typeof storage !== 'object')
+    throw new TypeError(`Storage ${storage} is not an object.`);
+  storageMethods.forEach(methodName => {
+    if (typeof storage[methodName] !== 'function')
+      throw new TypeError(`Storage method ${methodName} is not a function.`);
+  });
+  return storage;
+};
+
+/**
+ * Converts a record event to a change to be saved by a storage adapter.
+ * @param {Object} event A record event.
+ * @returns {Object} An object containing the change `type` (`'create'`,
+ * `'update'` or `'remove'`), the `model` name, the record `id` and, unless
+ * the record was removed, the whole `record` in the shape of
+ * `Record.prototype.toObject()`. Updates also contain the field `changes`.
+ */
+export const toStorageChange = ({ type, model, record, changes }) => {
+  const change = { type, model: model.name, id: record.id };
+  if (type !== 'remove') change.record = deepClone(record.toObject());
+  if (type === 'update') change.changes = deepClone(changes);
+  return change;
+};
+
+/**
+ * Applies changes to stored records, grouped by model. Useful for storage
+ * adapters that keep a copy of all records.
+ * @param {Map} recordsByModel A map of model names to maps of record ids to
+ * records.
+ * @param {Array} changes An array of changes, as passed to `save()`.
+ * @returns {Set} The names of the changed models.
+ */
+export const applyStorageChanges = (recordsByModel, changes) => {
+  const modelNames = new Set();
+  changes.forEach(({ type, model, id, record }) => {
+    if (!recordsByModel.has(model)) recordsByModel.set(model, new Map());
+    const records = recordsByModel.get(model);
+    if (type === 'remove') records.delete(id);
+    else records.set(id, record);
+    modelNames.add(model);
+  });
+  return modelNames;
+};
@@ -0,0 +1,133 @@
+import { Schema } from './schema.js';
+
+const createSchema = storage =>
+  Schema.create({
+    models: [
+      {
+        name: 'Person',
+        fields: { name: 'string', tags: 'stringArray', birthday: 'date' },
+      },
+      { name: 'Transaction', fields: { amount: 'number' } },
+    ],
+    relationships: [
+      {
+        from: { model: 'Transaction', name: 'payer' },
+        to: { model: 'Person', name: 'outgoing' },
+        type: 'manyToOne',
+        integrity: 'strict',
+        onDelete: 'cascade',
+      },
+    ],
+    storage,
+    config: { experimentalAPIMessages: 'off' },
+  });
+
+/**
+ * Defines tests checking that a storage adapter fulfills the storage
+ * contract, using the given test framework functions (e.g. from vitest or
+ * jest).
+ * @param {String} name The name of the storage adapter.
+ * @param {Function} createStorage A function returning a new instance of the
+ * storage adapter. All instances must share the same underlying store, as
+ * tests check that records saved by one instance are loaded by another.
+ * @param {Object} testFunctions An object containing the `describe`, `it`,
+ * `expect` and `beforeEach` functions of the test framework.
+ */
+export const testStorageConformance = (
+  name,
+  createStorage,
+  { describe, it, expect, beforeEach }
+) => {
+  // Records saved by one schema are loaded into a new one.
+  const reload = async schema => {
+    await schema.flushStorage();
+    return createSchema(createStorage()).hydrate();
+  };
+
+  describe(`${name} storage conformance`, () => {
+    let schema;
+    let Person;
+    let Transaction;
+
+    beforeEach(async () => {
+      await createStorage().clear();
+      schema = createSchema(createStorage());
+      Person = schema.getModel('Person');
+      Transaction = schema.getModel('Transaction');
+    });
+
+    it('loads nothing if no records have been saved', async () => {
+      const records = await createStorage().load(Person);
+      expect(records === null || records.length === 0).toBe(true);
+      const otherSchema = await reload(schema);
+      expect(otherSchema.getModel('Person').records.size).toBe(0);
+    });
+
+    it('saves created records', async () => {
+      Person.createRecord({
+        id: 'p1',
+        name: 'John',
+        tags: ['admin'],
+        birthday: new Date('1990-01-01'),
+      });
+      Person.createRecord({ id: 'p2', name: 'Jane' });
+      Transaction.createRecord({ id: 't1', amount: 10, payer: 'p1' });
+
+      const otherSchema = await reload(schema);
+      expect(otherSchema.dump()).toBe(schema.dump());
+      expect(otherSchema.get('Person.p1.birthday')).toEqual(
+        new Date('1990-01-01')
+      );
+      expect(otherSchema.get('Transaction.t1.payer.name')).toBe('John');
+    });
+
+    it('saves updated and removed records', async () => {
+      Person.createRecord({ id: 'p1', name: 'John' });
+      Person.createRecord({ id: 'p2', name: 'Jane' });
+      Transaction.createRecord({ id: 't1', amount: 10, payer: 'p1' });
+      await schema.flushStorage();
+
+      Person.updateRecord('p2', { name: 'Janet', tags: ['new'] });
+      Person.records.get('p2').tags = ['edited'];
+      Person.removeRecord('p1');
+
+      const otherSchema = await reload(schema);
+      expect(otherSchema.dump()).toBe(schema.dump());
+      expect(otherSchema.getModel('Transaction').records.size).toBe(0);
+    });
+
+    it('saves changes made in a transaction', async () => {
+      schema.transaction(() => {
+        Person.createRecord({ id: 'p1', name: 'John' });
+        Transaction.createRecord({ id: 't1', amount: 10, payer: 'p1' });
+        Person.updateRecord('p1', { name: 'Johnny' });
+      });
+
+      const otherSchema = await reload(schema);
+      expect(otherSchema.dump()).toBe(schema.dump());
+    });
+
+    it('keeps records across multiple saves and instances', async () => {
+      Person.createRecord({ id: 'p1', name: 'John' });
+      const otherSchema = await reload(schema);
+      otherSchema.getModel('Transaction').createRecord({
+        id: 't1',
+        amount: 10,
+        payer: 'p1',
+      });
+
+      const lastSchema = await reload(otherSchema);
+      expect(lastSchema.dump()).toBe(otherSchema.dump());
+    });
+
+    it('removes all records when cleared', async () => {
+      Person.createRecord({ id: 'p1', name: 'John' });
+      await schema.clearStorage();
+
+      const otherSchema = await reload(schema);
+      expect(otherSchema.getModel('Person').records.size).toBe(0);
+    });
+  });
+};
+
+export default testStorageConformance;
@@ -29,15 +29,32 @@ export default symbolizeAll(
   'getField',
   'getProperty',
   'isDateField',
-  'instances',
   'isRecord',
   'groupTag',
   'set',
   'delete',
   'get',
   'handleExperimentalAPIMessage',
-  'clearSchemaForTesting',
   'clearCachedProperties',
   'clearRecordSetForTesting',
-  'schemaObject'
+  'schemaObject',
+  'schema',
+  'emit',
+  'handleFieldUpdate',
+  'types',
+  'predicates',
+  'addPredicate',
+  'indexes',
+  'checkUniqueness',
+  'validateReferences',
+  'getDanglingReferences',
+  'validateRemoval',
+  'removeReferences',
+  'transaction',
+  'originalValues',
+  'isNew',
+  'recordChange',
+  'ordinals',
+  'restoreRecordOrder',
+  'isLoading'
 );
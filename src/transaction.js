@@ -0,0 +1,67 @@
+/**
+ * Keeps track of the changes made during a schema transaction, so that they
+ * can be rolled back, as well as any actions (e.g. events) that should only
+ * happen once the transaction is committed.
+ */
+export class Transaction {
+  #changes;
+  #deferredActions;
+
+  constructor() {
+    this.#changes = [];
+    this.#deferredActions = [];
+  }
+
+  /**
+   * Registers a change made during the transaction.
+   * @param {Object} change An object with the following keys:
+   * - `undo`: A function that reverts the change.
+   * - `redo`: A function that reapplies the change.
+   * - `description`: An object describing the change.
+   */
+  addChange(change) {
+    this.#changes.push(change);
+  }
+
+  /**
+   * Registers an action to be performed once the transaction is committed.
+   * @param {Function} deferredAction The function to call on commit.
+   */
+  defer(deferredAction) {
+    this.#deferredActions.push(deferredAction);
+  }
+
+  /**
+   * Marks the current state of the transaction, so that a nested transaction
+   * can be rolled back without affecting the changes made before it.
+   * @returns {Array} A tuple of the change and deferred action counts.
+   */
+  savepoint() {
+    return [this.#changes.length, this.#deferredActions.length];
+  }
+
+  /**
+   * Calls all deferred actions in order.
+   * @returns {Array} The changes made during the transaction.
+   */
+  commit() {
+    const changes = this.#changes;
+    const deferredActions = this.#deferredActions;
+    this.#changes = [];
+    this.#deferredActions = [];
+    deferredActions.forEach(deferredAction => deferredAction());
+    return changes;
+  }
+
+  /**
+   * Reverts all changes made since the given savepoint, in reverse order, and
+   * discards any actions deferred since then, including those deferred while
+   * reverting the changes.
+   * @param {Array} savepoint A savepoint, defaults to the transaction start.
+   */
+  rollback([changeCount, deferredCount] = [0, 0]) {
+    const changes = this.#changes.splice(changeCount);
+    changes.reverse().forEach(({ undo }) => undo());
+    this.#deferredActions.splice(deferredCount);
+  }
+}
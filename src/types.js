@@ -28,6 +28,8 @@ export const isUndefined = val => val === undefined;
 
 export const isOptional = type => val => or(isNull, type)(val);
 
+export const isEnumOf = values => val => values.includes(val);
+
 export const standardTypes = {
   boolean: { type: isBoolean },
   number: { type: isNumber },
@@ -4,6 +4,15 @@ import { DuplicationError, NameError } from './errors.js';
 // TODO: 'records' can be a bit of a loose gun here.
 const restrictedNames = ['toString', 'toObject', 'toJSON', 'id'];
 
+// Names of the dirty tracking members of records, which would be shadowed by
+// fields, properties or methods with the same name.
+export const dirtyTrackingMemberNames = [
+  'isDirty',
+  'changes',
+  'revert',
+  'markClean',
+];
+
 /**
  * Validates the name of a field or model.
  * Restrictiorns:
@@ -42,11 +51,38 @@ export const validateName = name => {
   return name;
 };
 
+/**
+ * Validates the name of a field, property or method, which must not collide
+ * with the dirty tracking members of records.
+ * @param {string} name The name of the field, property or method to validate.
+ * @throws {NameError} If the name is invalid.
+ * @returns {string} The name.
+ */
+export const validateRecordMemberName = name => {
+  validateName(name);
+  if (dirtyTrackingMemberNames.includes(name))
+    throw new NameError(
+      `Name "${name}" is invalid - is reserved for record dirty tracking.`
+    );
+  return name;
+};
+
 // General-purpose utilities
 
 export const reverseCapitalize = ([first, ...rest]) =>
   first.toLowerCase() + rest.join('');
 
+export const capitalize = ([first, ...rest]) =>
+  first.toUpperCase() + rest.join('');
+
+export const slugify = str =>
+  str
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
 export const deepClone = obj => {
   if (typeof obj !== 'object') return obj;
   if (obj === null) return null;
@@ -65,6 +101,10 @@ export const deepClone = obj => {
 
 export const isObject = obj => obj && typeof obj === 'object';
 
+export const isSameValue = (a, b) =>
+  a === b ||
+  (a instanceof Date && b instanceof Date && a.getTime() === b.getTime());
+
 export const validateObjectWithUniqueName = (
   { objectType, parentType, parentName },
   obj,
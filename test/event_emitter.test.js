@@ -0,0 +1,46 @@
+import { describe, it, beforeEach, expect } from 'vitest';
+import { EventEmitter } from '../src/event_emitter.js';
+
+describe('EventEmitter', () => {
+  let emitter;
+  let calls;
+  const listener = data => calls.push(data);
+
+  beforeEach(() => {
+    emitter = new EventEmitter(['create', 'remove']);
+    calls = [];
+  });
+
+  it('throws if the event name is invalid', () => {
+    expect(() => emitter.on('update', listener)).toThrow();
+    expect(() => emitter.off('update', listener)).toThrow();
+    expect(() => emitter.emit('update', {})).toThrow();
+  });
+
+  it('throws if the listener is not a function', () => {
+    expect(() => emitter.on('create', null)).toThrow();
+  });
+
+  it('calls listeners of the emitted event with the given data', () => {
+    emitter.on('create', listener);
+    emitter.emit('create', 'a');
+    emitter.emit('remove', 'b');
+    emitter.emit('create', 'c');
+    expect(calls).toEqual(['a', 'c']);
+  });
+
+  it('removes listeners correctly', () => {
+    emitter.on('create', listener);
+    emitter.emit('create', 'a');
+    emitter.off('create', listener);
+    emitter.emit('create', 'b');
+    expect(calls).toEqual(['a']);
+  });
+
+  it('calls "once" listeners only once', () => {
+    emitter.on('create', listener, { once: true });
+    emitter.emit('create', 'a');
+    emitter.emit('create', 'b');
+    expect(calls).toEqual(['a']);
+  });
+});
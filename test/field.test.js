@@ -22,6 +22,69 @@ describe('Field', () => {
       expect(field.typeCheck(null)).toBe(true);
       expect(field.typeCheck(undefined)).toBe(false);
     });
+
+    it('is not required and has no default value', () => {
+      expect(field.required).toBe(false);
+      expect(field.getDefaultValue({})).toBeUndefined();
+    });
+  });
+
+  describe('with options', () => {
+    it('has the correct required flag', () => {
+      const field = new Field({ name: 'myField', type: x => x, required: 1 });
+      expect(field.required).toBe(true);
+    });
+
+    it('returns the correct default value', () => {
+      const field = new Field({
+        name: 'myField',
+        type: x => x,
+        defaultValue: 'test',
+      });
+      expect(field.getDefaultValue({})).toBe('test');
+    });
+
+    it('calls the default value with the record data if it is a function', () => {
+      const field = new Field({
+        name: 'myField',
+        type: x => x,
+        defaultValue: ({ name }) => `${name}!`,
+      });
+      expect(field.getDefaultValue({ name: 'test' })).toBe('test!');
+    });
+
+    it('reports the first validation rule that failed', () => {
+      const field = new Field({
+        name: 'myField',
+        type: x => typeof x === 'string',
+        validators: {
+          minLength: x => x.length >= 2,
+          noSpaces: x => !x.includes(' '),
+        },
+      });
+      expect(field.validate('ab')).toEqual([true, null]);
+      expect(field.validate(null)).toEqual([true, null]);
+      expect(field.validate('a')).toEqual([false, 'minLength']);
+      expect(field.validate('a b')).toEqual([false, 'noSpaces']);
+    });
+  });
+
+  describe('enum', () => {
+    it('throws if the values are invalid', () => {
+      expect(() => Field.enum('myField')).toThrow();
+      expect(() => Field.enum('myField', { values: [] })).toThrow();
+      expect(() => Field.enum('myField', { values: ['a', 'a'] })).toThrow();
+    });
+
+    it('returns a Field that only accepts the given values', () => {
+      const field = Field.enum('myField', { values: ['a', 'b'] });
+      expect(field).toBeInstanceOf(Field);
+      expect(field.typeName).toBe('enum');
+      expect(field.values).toEqual(['a', 'b']);
+      expect(field.typeCheck('a')).toBe(true);
+      expect(field.typeCheck(null)).toBe(true);
+      expect(field.typeCheck('c')).toBe(false);
+    });
   });
 
   describe('standard types', () => {
@@ -48,6 +111,7 @@ describe('Field', () => {
         const field = Field[typeName]('myField');
         expect(field).toBeInstanceOf(Field);
         expect(field.name).toBe('myField');
+        expect(field.typeName).toBe(typeName);
         expect(field.typeCheck(standardTypesTestValues[typeName])).toBe(true);
       }
     );
@@ -0,0 +1,109 @@
+import { describe, it, beforeEach, expect } from 'vitest';
+import { HashIndex, SortedIndex, UniqueIndex } from '../src/field_index.js';
+
+describe('HashIndex', () => {
+  let index;
+
+  beforeEach(() => {
+    index = new HashIndex();
+    index.add('a', 'x');
+    index.add('b', 'y');
+    index.add('c', 'x');
+    index.add('d', ['x', 'z']);
+    index.add('e', new Date('2021-01-01'));
+    index.add('f', null);
+  });
+
+  it('returns the ids matching the given value', () => {
+    expect(index.get('x')).toEqual(['a', 'c', 'd']);
+    expect(index.get('z')).toEqual(['d']);
+    expect(index.get(new Date('2021-01-01'))).toEqual(['e']);
+    expect(index.get(null)).toEqual(['f']);
+    expect(index.get('w')).toEqual([]);
+  });
+
+  it('removes ids correctly', () => {
+    index.remove('a', 'x');
+    index.remove('d', ['x', 'z']);
+    index.remove('b', 'w');
+    expect(index.get('x')).toEqual(['c']);
+    expect(index.get('z')).toEqual([]);
+    expect(index.get('y')).toEqual(['b']);
+  });
+});
+
+describe('SortedIndex', () => {
+  let index;
+
+  beforeEach(() => {
+    index = new SortedIndex();
+    index.add('a', 30);
+    index.add('b', 10);
+    index.add('c', 20);
+    index.add('d', 20);
+    index.add('e', null);
+    index.add('f', [5, 40]);
+  });
+
+  it('returns the ids matching the given value', () => {
+    expect(index.get(20)).toEqual(['c', 'd']);
+    expect(index.get(null)).toEqual(['e']);
+    expect(index.get(25)).toEqual([]);
+  });
+
+  it('returns the ids within the given range, sorted by value', () => {
+    expect(index.range({ gte: 10, lt: 30 })).toEqual(['b', 'c', 'd']);
+    expect(index.range({ gt: 10, lte: 30 })).toEqual(['c', 'd', 'a']);
+    expect(index.range({ gt: 30 })).toEqual(['f']);
+    expect(index.range({ lt: 10 })).toEqual(['f']);
+    expect(index.range()).toEqual(['f', 'b', 'c', 'd', 'a']);
+    expect(index.range({ gt: 40 })).toEqual([]);
+  });
+
+  it('compares dates by value', () => {
+    index = new SortedIndex();
+    index.add('a', new Date('2021-03-01'));
+    index.add('b', new Date('2021-01-01'));
+    expect(index.range({ lt: new Date('2021-02-01') })).toEqual(['b']);
+    expect(index.get(new Date('2021-03-01'))).toEqual(['a']);
+  });
+
+  it('removes ids correctly', () => {
+    index.remove('c', 20);
+    index.remove('e', null);
+    index.remove('f', [5, 40]);
+    index.remove('a', 10);
+    expect(index.range()).toEqual(['b', 'd', 'a']);
+    expect(index.get(null)).toEqual([]);
+  });
+});
+
+describe('UniqueIndex', () => {
+  let index;
+
+  beforeEach(() => {
+    index = new UniqueIndex();
+    index.add('a', ['x', 1]);
+    index.add('b', ['x', 2]);
+    index.add('c', [new Date('2021-01-01')]);
+    index.add('d', ['x', null]);
+  });
+
+  it('returns the id matching the given combination of values', () => {
+    expect(index.get(['x', 1])).toEqual('a');
+    expect(index.get(['x', 2])).toEqual('b');
+    expect(index.get([new Date('2021-01-01')])).toEqual('c');
+    expect(index.get(['x', '1'])).toBeUndefined();
+  });
+
+  it('does not index combinations containing empty values', () => {
+    expect(index.get(['x', null])).toBeUndefined();
+  });
+
+  it('only removes the combination if it belongs to the given id', () => {
+    index.remove('b', ['x', 1]);
+    index.remove('b', ['x', 2]);
+    expect(index.get(['x', 1])).toEqual('a');
+    expect(index.get(['x', 2])).toBeUndefined();
+  });
+});
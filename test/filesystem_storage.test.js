@@ -0,0 +1,197 @@
+import {
+  describe,
+  it,
+  beforeAll,
+  afterAll,
+  beforeEach,
+  afterEach,
+  expect,
+} from 'vitest';
+import { mkdtemp, readFile, readdir, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { FileSystemStorage } from '../src/filesystem_storage.js';
+import { Schema } from '../src/schema.js';
+import { testStorageConformance } from '../src/storage_conformance.js';
+
+describe('FileSystemStorage', () => {
+  let directory;
+
+  beforeAll(async () => {
+    directory = await mkdtemp(join(tmpdir(), 'jsiqle-'));
+  });
+
+  afterAll(async () => {
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  ['json', 'ndjson'].forEach(format =>
+    testStorageConformance(
+      `FileSystemStorage (${format})`,
+      () =>
+        new FileSystemStorage({
+          directory: join(directory, format),
+          format,
+          debounce: 0,
+          // Instances are cleared before loading any models
+          models: ['Person', 'Transaction'],
+        }),
+      { describe, it, expect, beforeEach }
+    )
+  );
+
+  describe('files', () => {
+    let dataDirectory;
+
+    beforeEach(async () => {
+      dataDirectory = await mkdtemp(join(directory, 'data-'));
+    });
+
+    afterEach(async () => {
+      await rm(dataDirectory, { recursive: true, force: true });
+    });
+
+    it('throws if the options are invalid', () => {
+      expect(() => new FileSystemStorage({ format: 'csv' })).toThrowError(
+        RangeError
+      );
+      expect(() => new FileSystemStorage({ debounce: -1 })).toThrowError(
+        TypeError
+      );
+      expect(() => new FileSystemStorage({ models: 'Person' })).toThrowError(
+        TypeError
+      );
+    });
+
+    it('loads JSON and NDJSON files, skipping models without a file', async () => {
+      await writeFile(
+        join(dataDirectory, 'Person.json'),
+        JSON.stringify([{ id: 'p1', name: 'John' }])
+      );
+      await writeFile(
+        join(dataDirectory, 'Person.ndjson'),
+        '{"id":"p1","name":"John"}\n\n{"id":"p2","name":"Jane"}\n'
+      );
+      const storage = new FileSystemStorage({ directory: dataDirectory });
+      const ndjsonStorage = new FileSystemStorage({
+        directory: dataDirectory,
+        format: 'ndjson',
+      });
+
+      expect(await storage.load({ name: 'Person' })).toEqual([
+        { id: 'p1', name: 'John' },
+      ]);
+      expect(await ndjsonStorage.load({ name: 'Person' })).toEqual([
+        { id: 'p1', name: 'John' },
+        { id: 'p2', name: 'Jane' },
+      ]);
+      expect(await storage.load({ name: 'Role' })).toBe(null);
+    });
+
+    it('throws if a JSON file does not contain an array', async () => {
+      await writeFile(join(dataDirectory, 'Person.json'), '{}');
+      await expect(
+        new FileSystemStorage({ directory: dataDirectory }).load({
+          name: 'Person',
+        })
+      ).rejects.toThrowError(TypeError);
+    });
+
+    it('writes changed models once after the debounce period', async () => {
+      const storage = new FileSystemStorage({
+        directory: dataDirectory,
+        format: 'ndjson',
+        debounce: 20,
+      });
+      const firstSave = storage.save([
+        {
+          type: 'create',
+          model: 'Person',
+          id: 'p1',
+          record: { id: 'p1', name: 'John' },
+        },
+      ]);
+      const secondSave = storage.save([
+        {
+          type: 'update',
+          model: 'Person',
+          id: 'p1',
+          record: { id: 'p1', name: 'Johnny' },
+          changes: { name: ['John', 'Johnny'] },
+        },
+      ]);
+      await Promise.all([firstSave, secondSave]);
+      // Saves resolve once the changes are applied, before the file is written
+      expect(await readdir(dataDirectory)).toEqual([]);
+
+      await new Promise(resolve => setTimeout(resolve, 50));
+      expect(await readdir(dataDirectory)).toEqual(['Person.ndjson']);
+      expect(await readFile(join(dataDirectory, 'Person.ndjson'), 'utf8')).toBe(
+        '{"id":"p1","name":"Johnny"}\n'
+      );
+    });
+
+    it('removes only the files of known models when cleared', async () => {
+      const fileNames = [
+        'Person.json',
+        'Role.json',
+        'Person.ndjson',
+        'package.json',
+        'snapshot.json',
+      ];
+      await Promise.all(
+        fileNames.map(fileName =>
+          writeFile(join(dataDirectory, fileName), '[]')
+        )
+      );
+      const storage = new FileSystemStorage({
+        directory: dataDirectory,
+        models: ['Role'],
+      });
+      await storage.load({ name: 'Person' });
+      await storage.clear();
+      expect((await readdir(dataDirectory)).sort()).toEqual([
+        'Person.ndjson',
+        'package.json',
+        'snapshot.json',
+      ]);
+    });
+
+    it('combines changes saved by a schema and writes them when flushed', async () => {
+      const schema = Schema.create({
+        models: [{ name: 'Person', fields: { name: 'string' } }],
+        storage: new FileSystemStorage({
+          directory: dataDirectory,
+          debounce: 60000,
+        }),
+      });
+      const Person = schema.getModel('Person');
+      Person.createRecord({ id: 'p1', name: 'John' });
+      await new Promise(resolve => setTimeout(resolve, 0));
+      Person.createRecord({ id: 'p2', name: 'Jane' });
+      await new Promise(resolve => setTimeout(resolve, 0));
+      expect(await readdir(dataDirectory)).toEqual([]);
+
+      await schema.flushStorage();
+      expect(
+        JSON.parse(await readFile(join(dataDirectory, 'Person.json'), 'utf8'))
+      ).toEqual([
+        { id: 'p1', name: 'John' },
+        { id: 'p2', name: 'Jane' },
+      ]);
+    });
+
+    it('rejects when flushed with errors that occurred while writing', async () => {
+      const storage = new FileSystemStorage({
+        directory: join(dataDirectory, 'people'),
+      });
+      await storage.save([
+        { type: 'create', model: 'Person', id: 'p1', record: { id: 'p1' } },
+      ]);
+      // The directory cannot be created, as a file exists at its path
+      await writeFile(join(dataDirectory, 'people'), '');
+      await expect(storage.flush()).rejects.toThrow();
+      await expect(storage.flush()).resolves.toBe(undefined);
+    });
+  });
+});
@@ -0,0 +1,77 @@
+import { describe, it, beforeEach, expect } from 'vitest';
+import { History } from '../src/history.js';
+
+describe('History', () => {
+  let history;
+  let value;
+
+  const createEntry = (from, to) => [
+    {
+      undo: () => (value = from),
+      redo: () => (value = to),
+      description: { from, to },
+    },
+  ];
+
+  beforeEach(() => {
+    history = new History();
+    value = 0;
+    [1, 2, 3].forEach(to => {
+      history.push(createEntry(value, to));
+      value = to;
+    });
+  });
+
+  it('ignores empty entries', () => {
+    history.push([]);
+    expect(history.entries.past.length).toBe(3);
+  });
+
+  it('undoes and redoes entries', () => {
+    expect(history.undo()).toEqual([{ from: 2, to: 3 }]);
+    expect(history.undo()).toEqual([{ from: 1, to: 2 }]);
+    expect(value).toBe(1);
+    expect(history.redo()).toEqual([{ from: 1, to: 2 }]);
+    expect(value).toBe(2);
+    expect(history.entries).toEqual({
+      past: [[{ from: 0, to: 1 }], [{ from: 1, to: 2 }]],
+      future: [[{ from: 2, to: 3 }]],
+      checkpoints: [],
+    });
+  });
+
+  it('returns null if there is nothing to undo or redo', () => {
+    expect(history.redo()).toBe(null);
+    [1, 2, 3].forEach(() => history.undo());
+    expect(history.undo()).toBe(null);
+    expect(value).toBe(0);
+  });
+
+  it('discards entries that could be redone when pushing a new entry', () => {
+    history.undo();
+    history.push(createEntry(2, 4));
+    expect(history.redo()).toBe(null);
+    expect(history.entries.future).toEqual([]);
+  });
+
+  it('restores checkpoints', () => {
+    expect(() => history.checkpoint('')).toThrow();
+    history.checkpoint('three');
+    history.undo();
+    history.undo();
+    history.checkpoint('one');
+    expect(history.entries.checkpoints).toEqual(['three', 'one']);
+    history.restore('three');
+    expect(value).toBe(3);
+    history.restore('one');
+    expect(value).toBe(1);
+    expect(() => history.restore('two')).toThrowError(ReferenceError);
+  });
+
+  it('throws if a checkpoint can no longer be restored', () => {
+    history.checkpoint('three');
+    history.undo();
+    history.push(createEntry(2, 4));
+    expect(() => history.restore('three')).toThrowError(ReferenceError);
+  });
+});
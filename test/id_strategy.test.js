@@ -0,0 +1,41 @@
+import { describe, it, expect } from 'vitest';
+import { createIdGenerator } from '../src/id_strategy.js';
+
+describe('createIdGenerator', () => {
+  const isNotTaken = () => false;
+
+  it('throws if the id strategy is invalid', () => {
+    expect(() => createIdGenerator('random')).toThrow();
+    expect(() => createIdGenerator({ type: 'increment', prefix: 1 })).toThrow();
+    expect(() => createIdGenerator({ type: 'slug' })).toThrow();
+  });
+
+  it('generates uuids', () => {
+    const generateId = createIdGenerator('uuid');
+    const id = generateId({}, isNotTaken);
+    expect(id).toMatch(
+      /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/
+    );
+    expect(generateId({}, isNotTaken)).not.toBe(id);
+  });
+
+  it('generates incrementing ids, skipping taken ones', () => {
+    const generateId = createIdGenerator({ type: 'increment', prefix: 'u' });
+    const isTaken = id => id === 'u2';
+    expect(generateId({}, isTaken)).toBe('u1');
+    expect(generateId({}, isTaken)).toBe('u3');
+    expect(createIdGenerator('increment')({}, isNotTaken)).toBe('1');
+  });
+
+  it('generates slugs from a field, deduplicating taken ones', () => {
+    const generateId = createIdGenerator({ type: 'slug', field: 'name' });
+    const isTaken = id => ['john-doe', 'john-doe-2'].includes(id);
+    expect(generateId({ name: 'Jane Doe' }, isTaken)).toBe('jane-doe');
+    expect(generateId({ name: 'John Doe' }, isTaken)).toBe('john-doe-3');
+  });
+
+  it('generates ids using a custom function', () => {
+    const generateId = createIdGenerator(({ name }) => `custom-${name}`);
+    expect(generateId({ name: 'a' }, isNotTaken)).toBe('custom-a');
+  });
+});
@@ -0,0 +1,164 @@
+import {
+  describe,
+  it,
+  beforeAll,
+  afterAll,
+  beforeEach,
+  afterEach,
+  expect,
+} from 'vitest';
+import { mkdtemp, readFile, readdir, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { JournalStorage } from '../src/journal_storage.js';
+import { testStorageConformance } from '../src/storage_conformance.js';
+
+describe('JournalStorage', () => {
+  let directory;
+
+  beforeAll(async () => {
+    directory = await mkdtemp(join(tmpdir(), 'jsiqle-'));
+  });
+
+  afterAll(async () => {
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  testStorageConformance(
+    'JournalStorage',
+    () => new JournalStorage({ directory: join(directory, 'conformance') }),
+    { describe, it, expect, beforeEach }
+  );
+
+  describe('journal', () => {
+    let dataDirectory;
+    let storage;
+
+    const person = { name: 'Person' };
+    const createChange = (id, name) => ({
+      type: 'create',
+      model: 'Person',
+      id,
+      record: { id, name },
+    });
+    const updateChange = (id, name) => ({
+      type: 'update',
+      model: 'Person',
+      id,
+      record: { id, name },
+      changes: { name: [null, name] },
+    });
+
+    const readJournal = async () =>
+      (await readFile(join(dataDirectory, 'journal.ndjson'), 'utf8'))
+        .split('\n')
+        .filter(Boolean)
+        .map(line => JSON.parse(line));
+
+    beforeEach(async () => {
+      dataDirectory = await mkdtemp(join(directory, 'data-'));
+      storage = new JournalStorage({ directory: dataDirectory });
+    });
+
+    afterEach(async () => {
+      await rm(dataDirectory, { recursive: true, force: true });
+    });
+
+    it('appends each change to the journal', async () => {
+      await storage.save([createChange('p1', 'John')]);
+      await storage.save([
+        updateChange('p1', 'Johnny'),
+        { type: 'remove', model: 'Person', id: 'p1' },
+      ]);
+
+      expect(await readJournal()).toEqual([
+        { sequence: 1, ...createChange('p1', 'John') },
+        { sequence: 2, ...updateChange('p1', 'Johnny') },
+        { sequence: 3, type: 'remove', model: 'Person', id: 'p1' },
+      ]);
+      expect(await storage.load(person)).toBe(null);
+    });
+
+    it('compacts the journal into a snapshot', async () => {
+      await storage.save([createChange('p1', 'John')]);
+      await storage.save([createChange('p2', 'Jane')]);
+      await storage.compact();
+      await storage.save([updateChange('p2', 'Janet')]);
+
+      expect((await readdir(dataDirectory)).sort()).toEqual([
+        'journal.ndjson',
+        'snapshot.json',
+      ]);
+      expect(await readJournal()).toEqual([
+        { sequence: 3, ...updateChange('p2', 'Janet') },
+      ]);
+
+      const otherStorage = new JournalStorage({ directory: dataDirectory });
+      expect(await otherStorage.load(person)).toEqual([
+        { id: 'p1', name: 'John' },
+        { id: 'p2', name: 'Janet' },
+      ]);
+
+      // Sequence numbers continue after replaying
+      await otherStorage.save([createChange('p3', 'Jim')]);
+      expect((await readJournal()).map(({ sequence }) => sequence)).toEqual([
+        3, 4,
+      ]);
+    });
+
+    it('skips journaled changes that are part of the snapshot', async () => {
+      await storage.save([createChange('p1', 'John')]);
+      const journal = await readFile(
+        join(dataDirectory, 'journal.ndjson'),
+        'utf8'
+      );
+      await storage.save([{ type: 'remove', model: 'Person', id: 'p1' }]);
+      await storage.compact();
+      // Simulate compaction being interrupted before truncating the journal
+      await writeFile(join(dataDirectory, 'journal.ndjson'), journal);
+
+      const otherStorage = new JournalStorage({ directory: dataDirectory });
+      expect(await otherStorage.load(person)).toBe(null);
+    });
+
+    it('recovers from a partly written last line', async () => {
+      const journalPath = join(dataDirectory, 'journal.ndjson');
+      await storage.save([createChange('p1', 'John')]);
+      const journal = await readFile(journalPath, 'utf8');
+      await writeFile(journalPath, `${journal}{"sequence":2,"type":"cre`);
+
+      const otherStorage = new JournalStorage({ directory: dataDirectory });
+      expect(await otherStorage.load(person)).toEqual([
+        { id: 'p1', name: 'John' },
+      ]);
+      expect(await readFile(journalPath, 'utf8')).toBe(journal);
+      await otherStorage.save([createChange('p2', 'Jane')]);
+      expect((await readJournal()).map(({ id }) => id)).toEqual(['p1', 'p2']);
+    });
+
+    it('keeps a complete last line without a line break', async () => {
+      const journalPath = join(dataDirectory, 'journal.ndjson');
+      await storage.save([createChange('p1', 'John')]);
+      const journal = await readFile(journalPath, 'utf8');
+      await writeFile(journalPath, journal.trimEnd());
+
+      const otherStorage = new JournalStorage({ directory: dataDirectory });
+      await otherStorage.save([createChange('p2', 'Jane')]);
+      expect((await readJournal()).map(({ id }) => id)).toEqual(['p1', 'p2']);
+    });
+
+    it('retries loading after failing to read the journal', async () => {
+      const journalPath = join(dataDirectory, 'journal.ndjson');
+      await storage.save([createChange('p1', 'John')]);
+      const journal = await readFile(journalPath, 'utf8');
+      await writeFile(journalPath, `{"sequence":\n${journal}`);
+
+      const otherStorage = new JournalStorage({ directory: dataDirectory });
+      await expect(otherStorage.load(person)).rejects.toThrowError(SyntaxError);
+      await writeFile(journalPath, journal);
+      expect(await otherStorage.load(person)).toEqual([
+        { id: 'p1', name: 'John' },
+      ]);
+    });
+  });
+});
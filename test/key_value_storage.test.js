@@ -0,0 +1,50 @@
+import { describe, it, beforeEach, expect } from 'vitest';
+import { KeyValueStorage, MemoryStore } from '../src/key_value_storage.js';
+import { testStorageConformance } from '../src/storage_conformance.js';
+
+describe('KeyValueStorage', () => {
+  const store = new MemoryStore();
+
+  testStorageConformance(
+    'KeyValueStorage',
+    () => new KeyValueStorage({ store }),
+    { describe, it, expect, beforeEach }
+  );
+
+  it('throws if the options are invalid', () => {
+    expect(() => new KeyValueStorage({ store: {} })).toThrowError(TypeError);
+    expect(() => new KeyValueStorage({ prefix: null })).toThrowError(TypeError);
+  });
+
+  it('stores the records of each model under a prefixed key', () => {
+    const otherStore = new MemoryStore();
+    otherStore.setItem('other', 'value');
+    const storage = new KeyValueStorage({ store: otherStore, prefix: 'app:' });
+
+    storage.save([
+      {
+        type: 'create',
+        model: 'Person',
+        id: 'p1',
+        record: { id: 'p1', name: 'John' },
+      },
+      {
+        type: 'create',
+        model: 'Role',
+        id: 'r1',
+        record: { id: 'r1', name: 'Admin' },
+      },
+    ]);
+    expect(otherStore.getItem('app:Person')).toBe(
+      '[{"id":"p1","name":"John"}]'
+    );
+    expect(storage.load({ name: 'Role' })).toEqual([
+      { id: 'r1', name: 'Admin' },
+    ]);
+
+    storage.clear();
+    expect(otherStore.length).toBe(1);
+    expect(otherStore.key(0)).toBe('other');
+    expect(storage.load({ name: 'Person' })).toBe(null);
+  });
+});
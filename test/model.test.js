@@ -1,33 +1,19 @@
-import { describe, it, beforeEach, expect, beforeAll, afterAll, afterEach } from 'vitest';
+import { describe, it, beforeEach, expect, beforeAll, afterAll } from 'vitest';
 import { Model } from '../src/model.js';
-import { Schema } from '../src/schema.js';
+import { ValidationError, DuplicationError } from '../src/errors.js';
 import symbols from '../src/symbols.js';
 
-const { $instances, $fields, $properties, $cachedProperties, $scopes } =
-  symbols;
+const { $fields, $properties, $cachedProperties, $scopes } = symbols;
 
 describe('Model', () => {
   let consoleWarn = console.warn;
 
   beforeAll(() => {
     global.console.warn = () => {};
-    Schema.config.experimentalAPIMessages = 'off';
   });
 
   afterAll(() => {
     global.console.warn = consoleWarn;
-    Schema.config.experimentalAPIMessages = 'warn';
-  });
-
-  afterEach(() => {
-    // Cleanup to avoid instances leaking to other tests
-    Model[$instances].clear();
-  });
-
-  it('throws if a model with the same name already exists', () => {
-    // eslint-disable-next-line no-unused-vars
-    const model = new Model({ name: 'aModel' });
-    expect(() => new Model({ name: 'aModel' })).toThrow();
   });
 
   it('throws if "fields" contain invalid values', () => {
@@ -41,6 +27,12 @@ describe('Model', () => {
     expect(
       () => new Model({ ...modelParams, fields: { id: 'test' } })
     ).toThrow();
+    expect(
+      () => new Model({ ...modelParams, fields: { a: { type: 'aField' } } })
+    ).toThrow();
+    expect(
+      () => new Model({ ...modelParams, fields: { a: { default: 0 } } })
+    ).toThrow();
   });
 
   it('creates a cached property if "cache" is true', () => {
@@ -218,6 +210,175 @@ describe('Model', () => {
         expect(model.records.adult.has('a')).toEqual(true);
       });
     });
+
+    describe('with enum fields', () => {
+      beforeEach(() => {
+        model = new Model({
+          name: 'bModel',
+          fields: {
+            role: { type: 'enum', values: ['admin', 'user'], default: 'user' },
+          },
+        });
+      });
+
+      it('throws if the enum field is invalid', () => {
+        expect(
+          () =>
+            new Model({ name: 'cModel', fields: { role: { type: 'enum' } } })
+        ).toThrow();
+        expect(
+          () =>
+            new Model({
+              name: 'cModel',
+              fields: { not: { type: 'enum', values: ['a'] } },
+            })
+        ).toThrow();
+      });
+
+      it('lists the allowed values on the field', () => {
+        expect(model.getField('role').values).toEqual(['admin', 'user']);
+      });
+
+      it('only accepts the allowed values', () => {
+        expect(model.createRecord({ id: 'a' }).role).toEqual('user');
+        expect(model.createRecord({ id: 'b', role: 'admin' }).role).toEqual(
+          'admin'
+        );
+        expect(() => model.createRecord({ id: 'c', role: 'guest' })).toThrow(
+          /expected type enum/
+        );
+      });
+    });
+
+    describe('with validation rules', () => {
+      beforeEach(() => {
+        model = new Model({
+          name: 'bModel',
+          fields: {
+            name: {
+              type: 'string',
+              validate: {
+                minLength: value => value.length >= 2,
+                capitalized: value => value[0] === value[0].toUpperCase(),
+              },
+            },
+            age: { type: 'number', validate: value => value >= 0 },
+          },
+        });
+      });
+
+      it('throws if validation rules are invalid', () => {
+        expect(
+          () =>
+            new Model({
+              name: 'cModel',
+              fields: { name: { type: 'string', validate: 'hi' } },
+            })
+        ).toThrow();
+        expect(
+          () =>
+            new Model({
+              name: 'cModel',
+              fields: { name: { type: 'string', validate: { rule: null } } },
+            })
+        ).toThrow();
+      });
+
+      it('throws a ValidationError naming the failed rule', () => {
+        expect(() => model.createRecord({ id: 'a', name: 'a' })).toThrow(
+          /minLength/
+        );
+        expect(() => model.createRecord({ id: 'a', name: 'aName' })).toThrow(
+          /capitalized/
+        );
+        expect(() => model.createRecord({ id: 'a', age: -1 })).toThrow(
+          ValidationError
+        );
+        expect(() => model.createRecord({ id: 'a', age: -1 })).toThrow(
+          /validate/
+        );
+      });
+
+      it('validates values set on existing records', () => {
+        const record = model.createRecord({ id: 'a', name: 'AName' });
+        expect(() => (record.name = 'b')).toThrow(ValidationError);
+        expect(record.name).toEqual('AName');
+      });
+
+      it('reports the expected type if the value is of the wrong type', () => {
+        expect(() => model.createRecord({ id: 'a', age: 'a' })).toThrow(
+          /expected type number/
+        );
+      });
+    });
+
+    describe('with default values and required fields', () => {
+      beforeEach(() => {
+        model = new Model({
+          name: 'bModel',
+          fields: {
+            name: { type: 'string', required: true },
+            age: { type: 'number', default: 0 },
+            tags: { type: 'stringArray', default: [] },
+            nickname: {
+              type: 'string',
+              default: ({ name }) => name.toLowerCase(),
+            },
+            joined: { type: 'date', default: '2021-01-01' },
+            holidays: { type: 'dateArray', default: ['2021-12-25'] },
+          },
+        });
+      });
+
+      it('throws a ValidationError if a required field is missing', () => {
+        expect(() => model.createRecord({ id: 'a' })).toThrow(ValidationError);
+        expect(() => model.createRecord({ id: 'a', name: null })).toThrow(
+          ValidationError
+        );
+        expect(model.records.has('a')).toEqual(false);
+      });
+
+      it('throws a ValidationError if a required field is emptied', () => {
+        const record = model.createRecord({ id: 'a', name: 'aName' });
+        expect(() => (record.name = null)).toThrow(ValidationError);
+        expect(record.name).toEqual('aName');
+      });
+
+      it('applies default values to missing fields', () => {
+        const record = model.createRecord({ id: 'a', name: 'aName' });
+        expect(record.age).toEqual(0);
+        expect(record.tags).toEqual([]);
+        expect(record.nickname).toEqual('aname');
+        expect(record.joined).toEqual(new Date('2021-01-01'));
+        expect(record.holidays).toEqual([new Date('2021-12-25')]);
+      });
+
+      it('does not convert empty date values', () => {
+        const record = model.createRecord({
+          id: 'a',
+          name: 'aName',
+          joined: null,
+        });
+        expect(record.joined).toBe(null);
+      });
+
+      it('does not apply default values to provided fields', () => {
+        const record = model.createRecord({
+          id: 'a',
+          name: 'aName',
+          age: 18,
+          nickname: null,
+        });
+        expect(record.age).toEqual(18);
+        expect(record.nickname).toEqual(null);
+      });
+
+      it('does not share default values between records', () => {
+        const recordA = model.createRecord({ id: 'a', name: 'aName' });
+        const recordB = model.createRecord({ id: 'b', name: 'bName' });
+        expect(recordA.tags).not.toBe(recordB.tags);
+      });
+    });
   });
 
   describe('removeRecord', () => {
@@ -272,6 +433,547 @@ describe('Model', () => {
     });
   });
 
+  describe('id strategies', () => {
+    it('throws if "idStrategy" is invalid', () => {
+      const modelParams = { name: 'aModel', fields: { name: 'string' } };
+
+      expect(
+        () => new Model({ ...modelParams, idStrategy: 'random' })
+      ).toThrow();
+      expect(
+        () =>
+          new Model({
+            ...modelParams,
+            idStrategy: { type: 'slug', field: 'x' },
+          })
+      ).toThrow();
+    });
+
+    it('generates ids for records without one', () => {
+      const model = new Model({
+        name: 'aModel',
+        fields: { name: 'string' },
+        idStrategy: { type: 'increment', prefix: 'a' },
+      });
+      expect(model.createRecord({ name: 'first' }).id).toBe('a1');
+      expect(model.createRecord({ id: 'a2', name: 'explicit' }).id).toBe('a2');
+      expect(model.createRecord({ name: 'third' }).id).toBe('a3');
+      expect(() => model.createRecord({ id: 'a1' })).toThrowError(
+        DuplicationError
+      );
+      expect(model.upsertRecord({ name: 'fourth' }).id).toBe('a4');
+    });
+
+    it('generates ids after calling the "beforeCreate" hook', () => {
+      const model = new Model({
+        name: 'aModel',
+        fields: { name: 'string' },
+        idStrategy: { type: 'slug', field: 'name' },
+        hooks: {
+          beforeCreate: data => ({ ...data, name: data.name.trim() }),
+        },
+      });
+      expect(model.createRecord({ name: ' John Doe ' }).id).toBe('john-doe');
+    });
+
+    it('generates unique ids for records of the same batch', () => {
+      const model = new Model({
+        name: 'aModel',
+        fields: { name: 'string' },
+        idStrategy: { type: 'slug', field: 'name' },
+      });
+      model.createRecord({ name: 'John Doe' });
+      const { created } = model.createRecords([
+        { name: 'John Doe' },
+        { name: 'John Doe' },
+      ]);
+      expect(created.map(record => record.id)).toEqual([
+        'john-doe-2',
+        'john-doe-3',
+      ]);
+    });
+  });
+
+  describe('bulk operations', () => {
+    let model;
+
+    beforeEach(() => {
+      model = new Model({
+        name: 'aModel',
+        fields: {
+          name: { type: 'string', required: true },
+          username: { type: 'string', unique: true },
+        },
+      });
+      model.createRecord({ id: 'a', name: 'aName', username: 'a' });
+    });
+
+    describe('createRecords', () => {
+      it('throws if "records" is not an array', () => {
+        expect(() => model.createRecords({ id: 'b' })).toThrow();
+      });
+
+      it('creates valid records and reports failed ones', () => {
+        const invalidRecords = [
+          { id: 'a', name: 'aName' },
+          { id: 'c', name: 3 },
+          { id: 'd' },
+          { id: 'b', name: 'bNameAgain' },
+          { id: 'f', name: 'fName', username: 'e' },
+        ];
+        const { created, updated, failed } = model.createRecords([
+          { id: 'b', name: 'bName' },
+          { id: 'e', name: 'eName', username: 'e' },
+          ...invalidRecords,
+        ]);
+        expect(created.map(record => record.id)).toEqual(['b', 'e']);
+        expect(updated).toEqual([]);
+        expect(failed.map(({ data }) => data)).toEqual(invalidRecords);
+        expect(failed[0].error).toBeInstanceOf(DuplicationError);
+        expect(failed[1].error).toBeInstanceOf(TypeError);
+        expect(failed[2].error).toBeInstanceOf(ValidationError);
+        expect(failed[3].error).toBeInstanceOf(DuplicationError);
+        expect(failed[4].error).toBeInstanceOf(DuplicationError);
+        expect(model.records.pluck('id')).toEqual(['a', 'b', 'e']);
+      });
+
+      it('validates all records before inserting any of them', () => {
+        const steps = [];
+        const otherModel = new Model({
+          name: 'aModel',
+          fields: { name: { type: 'string', required: true } },
+          hooks: {
+            beforeCreate: data => {
+              steps.push(['validate', data.id, otherModel.records.size]);
+            },
+            afterCreate: record => steps.push(['insert', record.id]),
+          },
+        });
+        const result = otherModel.createRecords([
+          { id: 'b', name: 'bName' },
+          { id: 'c', name: 'cName' },
+          { id: 'd' },
+        ]);
+        expect(steps).toEqual([
+          ['validate', 'b', 0],
+          ['validate', 'c', 0],
+          ['validate', 'd', 0],
+          ['insert', 'b'],
+          ['insert', 'c'],
+        ]);
+        expect(result.created.length).toBe(2);
+        expect(result.failed[0].error).toBeInstanceOf(ValidationError);
+      });
+    });
+
+    describe('upsertRecord', () => {
+      it('throws if "record" is not an object', () => {
+        expect(() => model.upsertRecord('a')).toThrow();
+      });
+
+      it('updates the record if it exists', () => {
+        const record = model.upsertRecord({ id: 'a', name: 'bName' });
+        expect(record.name).toBe('bName');
+        expect(record.username).toBe('a');
+        expect(model.records.size).toBe(1);
+      });
+
+      it('creates the record if it does not exist', () => {
+        const record = model.upsertRecord({ id: 'b', name: 'bName' });
+        expect(record.name).toBe('bName');
+        expect(model.records.size).toBe(2);
+      });
+    });
+
+    describe('upsertRecords', () => {
+      it('throws if "records" is not an array', () => {
+        expect(() => model.upsertRecords('a')).toThrow();
+      });
+
+      it('updates or creates valid records and reports failed ones', () => {
+        const invalidRecords = [
+          null,
+          { id: 'a', name: null },
+          { id: 'c', username: 'a' },
+          { id: 'b', username: 'a' },
+        ];
+        const { created, updated, failed } = model.upsertRecords([
+          { id: 'a', name: 'aNewName' },
+          { id: 'b', name: 'bName' },
+          ...invalidRecords,
+          { id: 'b', name: 'bNewName' },
+        ]);
+        expect(created.map(record => record.id)).toEqual(['b']);
+        expect(updated.map(record => record.id)).toEqual(['a', 'b']);
+        expect(failed.map(({ data }) => data)).toEqual(invalidRecords);
+        expect(failed[0].error).toBeInstanceOf(TypeError);
+        expect(failed[1].error).toBeInstanceOf(ValidationError);
+        expect(failed[2].error).toBeInstanceOf(ValidationError);
+        expect(failed[3].error).toBeInstanceOf(DuplicationError);
+        expect(model.records.get('a').name).toBe('aNewName');
+        expect(model.records.get('b').name).toBe('bNewName');
+        expect(model.records.get('b').username).toBe(null);
+      });
+
+      it('validates updates after running the beforeUpdate hook', () => {
+        const hookCalls = [];
+        const otherModel = new Model({
+          name: 'aModel',
+          fields: { age: 'number' },
+          hooks: {
+            beforeUpdate: (record, data) => {
+              hookCalls.push(record.id);
+              return { ...data, age: Number(data.age) };
+            },
+          },
+        });
+        otherModel.createRecords([{ id: 'a' }, { id: 'b' }]);
+        const { updated, failed } = otherModel.upsertRecords([
+          { id: 'a', age: '7' },
+          { id: 'b', age: 'old' },
+        ]);
+        expect(updated.map(record => record.id)).toEqual(['a']);
+        expect(otherModel.records.get('a').age).toBe(7);
+        expect(failed.map(({ data }) => data.id)).toEqual(['b']);
+        expect(failed[0].error).toBeInstanceOf(TypeError);
+        expect(hookCalls).toEqual(['a', 'b']);
+      });
+    });
+
+    describe('removeRecords', () => {
+      beforeEach(() => {
+        model.createRecords([
+          { id: 'b', name: 'bName' },
+          { id: 'c', name: 'cName' },
+        ]);
+      });
+
+      it('throws if "ids" is not an array or record set', () => {
+        expect(() => model.removeRecords('a')).toThrow();
+        const otherModel = new Model({ name: 'bModel' });
+        expect(() => model.removeRecords(otherModel.records)).toThrow();
+      });
+
+      it('removes records by id and reports failed ones', () => {
+        const { removed, failed } = model.removeRecords(['a', 'd', 'c']);
+        expect(removed.map(record => record.id)).toEqual(['a', 'c']);
+        expect(failed.map(({ id }) => id)).toEqual(['d']);
+        expect(failed[0].error).toBeInstanceOf(ReferenceError);
+        expect(model.records.pluck('id')).toEqual(['b']);
+      });
+
+      it('removes the records of a record set', () => {
+        const { removed } = model.removeRecords(model.records);
+        expect(removed.length).toBe(3);
+        expect(model.records.size).toBe(0);
+      });
+    });
+  });
+
+  describe('unique constraints', () => {
+    let model;
+
+    beforeEach(() => {
+      model = new Model({
+        name: 'aModel',
+        fields: {
+          username: { type: 'string', unique: true },
+          firstName: 'string',
+          lastName: 'string',
+        },
+        uniques: [['firstName', 'lastName']],
+      });
+      model.createRecord({
+        id: 'a',
+        username: 'jdoe',
+        firstName: 'John',
+        lastName: 'Doe',
+      });
+      model.createRecord({
+        id: 'b',
+        username: 'jsmith',
+        firstName: 'Jane',
+        lastName: 'Smith',
+      });
+    });
+
+    it('throws if "uniques" contain invalid values', () => {
+      const modelParams = { name: 'bModel', fields: { name: 'string' } };
+
+      expect(() => new Model({ ...modelParams, uniques: null })).toThrow();
+      expect(() => new Model({ ...modelParams, uniques: [[]] })).toThrow();
+      expect(() => new Model({ ...modelParams, uniques: [['age']] })).toThrow();
+      expect(
+        () => new Model({ ...modelParams, uniques: [['name', 'name']] })
+      ).toThrow();
+      expect(
+        () =>
+          new Model({
+            name: 'bModel',
+            fields: { name: { type: 'string', unique: true } },
+            uniques: [['name']],
+          })
+      ).toThrow();
+    });
+
+    it('throws a DuplicationError when creating a duplicate record', () => {
+      expect(() =>
+        model.createRecord({ id: 'c', username: 'jdoe' })
+      ).toThrowError(DuplicationError);
+      expect(() =>
+        model.createRecord({ id: 'c', firstName: 'Jane', lastName: 'Smith' })
+      ).toThrowError(DuplicationError);
+      expect(model.records.has('c')).toBe(false);
+    });
+
+    it('does not consider empty values duplicates', () => {
+      model.createRecord({ id: 'c', firstName: 'Jane' });
+      model.createRecord({ id: 'd', firstName: 'Jane' });
+      expect(model.records.size).toBe(4);
+    });
+
+    it('throws a DuplicationError when updating to a duplicate value', () => {
+      const record = model.records.get('b');
+      expect(() => {
+        record.username = 'jdoe';
+      }).toThrowError(DuplicationError);
+      expect(() => {
+        model.updateRecord('b', { firstName: 'John', lastName: 'Doe' });
+      }).toThrowError(DuplicationError);
+      expect(record.username).toBe('jsmith');
+      expect(record.lastName).toBe('Smith');
+    });
+
+    it('allows reusing values that are no longer in use', () => {
+      model.records.get('a').username = 'johndoe';
+      model.records.get('b').username = 'jdoe';
+      model.removeRecord('a');
+      model.createRecord({ id: 'c', firstName: 'John', lastName: 'Doe' });
+      expect(model.findBy('username', 'jdoe').id).toBe('b');
+    });
+
+    it('finds records by unique field values', () => {
+      expect(model.findBy('username', 'jsmith').id).toBe('b');
+      expect(model.findBy('username', 'nobody')).toBeUndefined();
+      expect(model.findBy('id', 'a').username).toBe('jdoe');
+      expect(() => model.findBy('firstName', 'John')).toThrow();
+    });
+  });
+
+  describe('indexes', () => {
+    let model;
+
+    beforeEach(() => {
+      model = new Model({
+        name: 'aModel',
+        fields: { name: 'string', age: 'number' },
+        indexes: { name: 'hash', age: 'sorted' },
+      });
+      model.createRecord({ id: 'a', name: 'aName', age: 20 });
+      model.createRecord({ id: 'b', name: 'bName', age: 10 });
+    });
+
+    it('throws if "indexes" contain invalid values', () => {
+      const modelParams = { name: 'bModel', fields: { name: 'string' } };
+
+      expect(() => new Model({ ...modelParams, indexes: null })).toThrow();
+      expect(
+        () => new Model({ ...modelParams, indexes: { age: 'hash' } })
+      ).toThrow();
+      expect(
+        () => new Model({ ...modelParams, indexes: { name: 'tree' } })
+      ).toThrow();
+    });
+
+    it('indexes created records', () => {
+      expect(model.records.whereIndexed('name', 'bName').pluck('id')).toEqual([
+        'b',
+      ]);
+      expect(
+        model.records.whereIndexedRange('age', { gte: 10 }).pluck('id')
+      ).toEqual(['b', 'a']);
+    });
+
+    it('keeps indexes up to date when records are updated', () => {
+      model.updateRecord('a', { name: 'cName', age: 5 });
+      model.records.get('b').name = 'dName';
+      expect(model.records.whereIndexed('name', 'aName').size).toEqual(0);
+      expect(model.records.whereIndexed('name', 'cName').pluck('id')).toEqual([
+        'a',
+      ]);
+      expect(model.records.whereIndexed('name', 'dName').pluck('id')).toEqual([
+        'b',
+      ]);
+      expect(
+        model.records.whereIndexedRange('age', { lt: 10 }).pluck('id')
+      ).toEqual(['a']);
+    });
+
+    it('keeps indexes up to date when records are removed', () => {
+      model.removeRecord('a');
+      expect(model.records.whereIndexed('name', 'aName').size).toEqual(0);
+      expect(model.records.whereIndexedRange('age', {}).pluck('id')).toEqual([
+        'b',
+      ]);
+    });
+  });
+
+  describe('hooks', () => {
+    let model;
+    let calls;
+
+    beforeEach(() => {
+      calls = [];
+      model = new Model({
+        name: 'aModel',
+        fields: { name: 'string' },
+        hooks: {
+          beforeCreate: data => {
+            calls.push('beforeCreate');
+            if (data.name === 'invalid') throw new Error('Invalid name.');
+            return { ...data, name: data.name.trim() };
+          },
+          afterCreate: (record, data) => {
+            calls.push(`afterCreate:${record.id}:${data.name}`);
+          },
+          beforeUpdate: (record, data) => {
+            calls.push(`beforeUpdate:${record.name}`);
+            if (data.name === 'invalid') throw new Error('Invalid name.');
+            return { ...data, name: data.name.toUpperCase() };
+          },
+          afterUpdate: record => {
+            calls.push(`afterUpdate:${record.name}`);
+          },
+          beforeRemove: record => {
+            calls.push(`beforeRemove:${record.id}`);
+            if (record.name === 'KEEP') throw new Error('Cannot remove.');
+          },
+          afterRemove: (record, schemaObject) => {
+            calls.push(`afterRemove:${record.id}`);
+            expect(schemaObject).toEqual({});
+          },
+        },
+      });
+    });
+
+    it('throws if "hooks" contain invalid values', () => {
+      const modelParams = { name: 'bModel' };
+
+      expect(() => new Model({ ...modelParams, hooks: null })).toThrow();
+      expect(
+        () => new Model({ ...modelParams, hooks: { beforeCreate: 'hi' } })
+      ).toThrow();
+      expect(
+        () => new Model({ ...modelParams, hooks: { beforeSave: () => null } })
+      ).toThrow();
+    });
+
+    it('calls the create hooks with the correct arguments', () => {
+      const record = model.createRecord({ id: 'a', name: ' aName ' });
+      expect(record.name).toEqual('aName');
+      expect(calls).toEqual(['beforeCreate', 'afterCreate:a:aName']);
+    });
+
+    it('aborts record creation if the before hook throws', () => {
+      expect(() => model.createRecord({ id: 'a', name: 'invalid' })).toThrow();
+      expect(model.records.has('a')).toEqual(false);
+      expect(calls).toEqual(['beforeCreate']);
+    });
+
+    it('calls the update hooks with the correct arguments', () => {
+      const record = model.createRecord({ id: 'a', name: 'aName' });
+      model.updateRecord('a', { name: 'bName' });
+      expect(record.name).toEqual('BNAME');
+      expect(calls.slice(2)).toEqual([
+        'beforeUpdate:aName',
+        'afterUpdate:BNAME',
+      ]);
+    });
+
+    it('aborts record update if the before hook throws', () => {
+      const record = model.createRecord({ id: 'a', name: 'aName' });
+      expect(() => model.updateRecord('a', { name: 'invalid' })).toThrow();
+      expect(record.name).toEqual('aName');
+      expect(calls.slice(2)).toEqual(['beforeUpdate:aName']);
+    });
+
+    it('calls the remove hooks with the correct arguments', () => {
+      model.createRecord({ id: 'a', name: 'aName' });
+      model.removeRecord('a');
+      expect(calls.slice(2)).toEqual(['beforeRemove:a', 'afterRemove:a']);
+    });
+
+    it('aborts record removal if the before hook throws', () => {
+      model.createRecord({ id: 'a', name: 'KEEP' });
+      expect(() => model.removeRecord('a')).toThrow();
+      expect(model.records.has('a')).toEqual(true);
+      expect(calls.slice(2)).toEqual(['beforeRemove:a']);
+    });
+  });
+
+  describe('events', () => {
+    let model;
+    let events;
+    const listener = event => events.push(event);
+
+    beforeEach(() => {
+      events = [];
+      model = new Model({
+        name: 'aModel',
+        fields: { name: 'string', age: 'number' },
+      });
+    });
+
+    it('emits a create event when a record is created', () => {
+      model.on('create', listener);
+      const record = model.createRecord({ id: 'a', name: 'aName' });
+      expect(events).toHaveLength(1);
+      expect(events[0].type).toBe('create');
+      expect(events[0].model).toBe(model);
+      expect(events[0].record).toBe(record);
+    });
+
+    it('emits a single update event when a record is updated', () => {
+      model.createRecord({ id: 'a', name: 'aName', age: 18 });
+      model.on('update', listener);
+      const record = model.updateRecord('a', { name: 'bName', age: 18 });
+      expect(events).toHaveLength(1);
+      expect(events[0].record).toBe(record);
+      expect(events[0].fields).toEqual(['name']);
+      expect(events[0].changes).toEqual({ name: ['aName', 'bName'] });
+    });
+
+    it('emits an update event when a field is assigned directly', () => {
+      const record = model.createRecord({ id: 'a', name: 'aName' });
+      model.on('update', listener);
+      record.age = 20;
+      record.age = 20;
+      expect(events).toHaveLength(1);
+      expect(events[0].changes).toEqual({ age: [null, 20] });
+    });
+
+    it('emits a remove event when a record is removed', () => {
+      const record = model.createRecord({ id: 'a', name: 'aName' });
+      model.on('remove', listener);
+      model.removeRecord('a');
+      expect(events).toHaveLength(1);
+      expect(events[0].type).toBe('remove');
+      expect(events[0].record).toBe(record);
+    });
+
+    it('supports "once" and "off" listeners', () => {
+      model.once('create', listener);
+      model.createRecord({ id: 'a', name: 'aName' });
+      model.createRecord({ id: 'b', name: 'bName' });
+      expect(events).toHaveLength(1);
+
+      model.on('remove', listener);
+      model.off('remove', listener);
+      model.removeRecord('a');
+      expect(events).toHaveLength(1);
+    });
+  });
+
   describe('records', () => {
     let model;
 
@@ -286,6 +988,10 @@ describe('Model', () => {
             matcher: record => record.name.length > 2,
             sorter: (a, b) => b.name.localeCompare(a.name),
           },
+          orderedNamedRecords: {
+            matcher: record => record.name.length > 2,
+            sorter: [['name', 'desc']],
+          },
         },
       });
     });
@@ -340,6 +1046,7 @@ describe('Model', () => {
           flat: true,
         })
       ).toEqual(['b', 'a']);
+      expect(model.records.orderedNamedRecords.pluck('id')).toEqual(['b', 'a']);
     });
   });
 });
@@ -0,0 +1,327 @@
+import { describe, it, beforeEach, expect, beforeAll, afterAll } from 'vitest';
+import { aggregate, compileQuery, getIndexedIds } from '../src/query.js';
+import Schema from '../src/schema.js';
+import symbols from '../src/symbols.js';
+
+const { $indexes } = symbols;
+
+describe('Query', () => {
+  let consoleWarn = console.warn;
+  let Person;
+  let Transaction;
+
+  beforeAll(() => {
+    global.console.warn = () => {};
+  });
+
+  afterAll(() => {
+    global.console.warn = consoleWarn;
+  });
+
+  beforeEach(() => {
+    const schema = Schema.create({
+      models: [
+        {
+          name: 'person',
+          fields: {
+            firstName: 'string',
+            lastName: 'string',
+            role: 'string',
+            age: 'number',
+            tags: 'stringArray',
+            joined: 'date',
+          },
+          indexes: { role: 'hash', age: 'sorted' },
+        },
+        { name: 'transaction', fields: { amount: 'number' } },
+      ],
+      relationships: [
+        {
+          from: { model: 'transaction', name: 'payer' },
+          to: { model: 'person', name: 'outgoing' },
+          type: 'manyToOne',
+        },
+      ],
+    });
+    Person = schema.getModel('person');
+    Transaction = schema.getModel('transaction');
+
+    [
+      ['p1', 'John', 'Adams', 'admin', 42, ['a', 'b'], '2020-01-01'],
+      ['p2', 'Jane', 'Brown', 'user', 17, ['b'], '2021-01-01'],
+      ['p3', 'Jim', 'Clark', 'user', 30, [], null],
+      ['p4', 'Jill', null, 'admin', 18, null, '2022-01-01'],
+    ].forEach(([id, firstName, lastName, role, age, tags, joined]) =>
+      Person.createRecord({
+        id,
+        firstName,
+        lastName,
+        role,
+        age,
+        tags,
+        joined,
+      })
+    );
+    Transaction.createRecord({ id: 't1', amount: 10, payer: 'p1' });
+    Transaction.createRecord({ id: 't2', amount: 200, payer: 'p2' });
+    Transaction.createRecord({ id: 't3', amount: 50, payer: 'p1' });
+    Transaction.createRecord({ id: 't4', amount: 30 });
+  });
+
+  const people = query => Person.records.where(query).pluck('id');
+
+  it('matches values by equality', () => {
+    expect(people({ role: 'admin', age: 18 })).toEqual(['p4']);
+    expect(people({ lastName: null })).toEqual(['p4']);
+    expect(people({ joined: new Date('2021-01-01') })).toEqual(['p2']);
+    expect(people({ tags: 'b' })).toEqual(['p1', 'p2']);
+    expect(people({ tags: ['b'] })).toEqual(['p2']);
+    expect(people({ age: { $eq: 30 } })).toEqual(['p3']);
+    expect(people({ role: { $ne: 'admin' } })).toEqual(['p2', 'p3']);
+  });
+
+  it('matches values by comparison', () => {
+    expect(people({ age: { $gte: 18, $lt: 42 } })).toEqual(['p3', 'p4']);
+    expect(people({ age: { $gt: 30 } })).toEqual(['p1']);
+    expect(people({ age: { $lte: 17 } })).toEqual(['p2']);
+    expect(people({ joined: { $gt: new Date('2020-06-01') } })).toEqual([
+      'p2',
+      'p4',
+    ]);
+    expect(people({ lastName: { $gt: 'B' } })).toEqual(['p2', 'p3']);
+  });
+
+  it('matches values in or not in a list', () => {
+    expect(people({ lastName: { $in: ['Adams', 'Clark'] } })).toEqual([
+      'p1',
+      'p3',
+    ]);
+    expect(people({ lastName: { $nin: ['Adams', 'Clark'] } })).toEqual([
+      'p2',
+      'p4',
+    ]);
+  });
+
+  it('matches strings and arrays', () => {
+    expect(people({ firstName: { $contains: 'i' } })).toEqual(['p3', 'p4']);
+    expect(people({ tags: { $contains: 'a' } })).toEqual(['p1']);
+    expect(people({ firstName: { $startsWith: 'Ja' } })).toEqual(['p2']);
+    expect(people({ firstName: { $regex: /^j.n/i } })).toEqual(['p2']);
+    expect(people({ lastName: { $regex: 'k$' } })).toEqual(['p3']);
+  });
+
+  it('matches existing values', () => {
+    expect(people({ joined: { $exists: true } })).toEqual(['p1', 'p2', 'p4']);
+    expect(people({ tags: { $exists: false } })).toEqual(['p4']);
+  });
+
+  it('combines conditions with logical operators', () => {
+    expect(
+      people({ $or: [{ role: 'user', age: { $lt: 18 } }, { age: 42 }] })
+    ).toEqual(['p1', 'p2']);
+    expect(people({ $and: [{ role: 'admin' }, { age: { $lt: 40 } }] })).toEqual(
+      ['p4']
+    );
+    expect(people({ $not: { role: 'admin' } })).toEqual(['p2', 'p3']);
+    expect(people({ age: { $not: { $gte: 18 } } })).toEqual(['p2']);
+  });
+
+  it('traverses relationships', () => {
+    const transactions = query => Transaction.records.where(query).pluck('id');
+    expect(transactions({ 'payer.role': 'admin' })).toEqual(['t1', 't3']);
+    expect(transactions({ payer: 'p2' })).toEqual(['t2']);
+    expect(transactions({ payer: Person.records.get('p2') })).toEqual(['t2']);
+    expect(transactions({ 'payer.age': { $exists: false } })).toEqual(['t4']);
+    expect(people({ 'outgoing.amount': { $gt: 100 } })).toEqual(['p2']);
+    expect(people({ 'outgoing.amount': { $in: [10, 30] } })).toEqual(['p1']);
+  });
+
+  it('throws if the query is invalid', () => {
+    expect(() => compileQuery(null)).toThrowError(TypeError);
+    expect(() => compileQuery({ age: { $between: [1, 2] } })).toThrowError(
+      'Unknown query operator: $between.'
+    );
+    expect(() => compileQuery({ $nor: [] })).toThrowError(TypeError);
+    expect(() => compileQuery({ $or: {} })).toThrowError(TypeError);
+    expect(() => compileQuery({ age: { $in: 1 } })).toThrowError(TypeError);
+    expect(() => compileQuery({ age: { $regex: 1 } })).toThrowError(TypeError);
+  });
+
+  describe('orderBy', () => {
+    const order = (...orderings) =>
+      Person.records.orderBy(...orderings).pluck('id');
+
+    it('sorts by multiple keys and directions', () => {
+      expect(order(['role', 'asc'], ['age', 'desc'])).toEqual([
+        'p1',
+        'p4',
+        'p3',
+        'p2',
+      ]);
+      expect(order('role', 'age')).toEqual(['p4', 'p1', 'p2', 'p3']);
+    });
+
+    it('places empty values first or last', () => {
+      expect(order('lastName')).toEqual(['p1', 'p2', 'p3', 'p4']);
+      expect(order(['lastName', 'desc'])).toEqual(['p3', 'p2', 'p1', 'p4']);
+      expect(order(['lastName', 'asc', 'first'])).toEqual([
+        'p4',
+        'p1',
+        'p2',
+        'p3',
+      ]);
+      expect(order(['joined', 'desc'], { nulls: 'first' })).toEqual([
+        'p3',
+        'p4',
+        'p2',
+        'p1',
+      ]);
+    });
+
+    it('compares strings using the locale', () => {
+      Person.updateRecord('p2', { lastName: 'ábel' });
+      Person.updateRecord('p3', { lastName: 'Zoe' });
+      expect(order('lastName')).toEqual(['p2', 'p1', 'p3', 'p4']);
+      Person.updateRecord('p1', { lastName: 'Ångström' });
+      Person.updateRecord('p2', { lastName: 'Zoe' });
+      Person.updateRecord('p3', { lastName: 'Öberg' });
+      expect(order('lastName', { locale: 'sv' })).toEqual([
+        'p2',
+        'p1',
+        'p3',
+        'p4',
+      ]);
+    });
+
+    it('sorts by relationship paths', () => {
+      expect(
+        Transaction.records
+          .orderBy(['payer.firstName', 'asc', 'first'], ['amount', 'desc'])
+          .pluck('id')
+      ).toEqual(['t4', 't2', 't3', 't1']);
+      expect(order(['outgoing.amount', 'desc'])).toEqual([
+        'p2',
+        'p1',
+        'p3',
+        'p4',
+      ]);
+    });
+
+    it('throws if the orderings are invalid', () => {
+      expect(() => order()).toThrowError(TypeError);
+      expect(() => order(['age', 'up'])).toThrowError(RangeError);
+      expect(() => order(['age', 'asc', 'middle'])).toThrowError(RangeError);
+      expect(() => order(['age'], { nulls: 'none' })).toThrowError(RangeError);
+      expect(() => order(42)).toThrowError(TypeError);
+    });
+  });
+
+  describe('aggregates', () => {
+    it('sums, averages and finds the median of values', () => {
+      expect(Transaction.records.sum('amount')).toBe(290);
+      expect(Transaction.records.average('amount')).toBe(72.5);
+      expect(Transaction.records.median('amount')).toBe(40);
+      expect(Person.records.median('age')).toBe(24);
+      expect(Person.records.where({ age: 42 }).median('age')).toBe(42);
+    });
+
+    it('finds the smallest and largest values', () => {
+      expect(Person.records.min('age')).toBe(17);
+      expect(Person.records.max('lastName')).toBe('Clark');
+      expect(Person.records.max('joined')).toEqual(new Date('2022-01-01'));
+      expect(Person.records.minBy('age').id).toBe('p2');
+      expect(Person.records.maxBy('joined').id).toBe('p4');
+      Person.updateRecord('p3', { age: 42 });
+      expect(Person.records.maxBy('age').id).toBe('p1');
+    });
+
+    it('counts and finds distinct values', () => {
+      expect(Person.records.countBy('role')).toEqual(
+        new Map([
+          ['admin', 2],
+          ['user', 2],
+        ])
+      );
+      Person.updateRecord('p2', { joined: '2020-01-01' });
+      const counts = Person.records.countBy('joined');
+      expect([...counts.keys()]).toEqual([
+        new Date('2020-01-01'),
+        new Date('2022-01-01'),
+      ]);
+      expect([...counts.values()]).toEqual([2, 1]);
+      expect(Person.records.distinct('role')).toEqual(['admin', 'user']);
+      expect(Transaction.records.distinct('payer')).toEqual([
+        Person.records.get('p1'),
+        Person.records.get('p2'),
+      ]);
+    });
+
+    it('skips empty values', () => {
+      expect(Person.records.average('lastName.length')).toBe(5);
+      expect(Person.records.countBy('lastName').size).toBe(3);
+      expect(Person.records.distinct('joined')).toHaveLength(3);
+      expect(Transaction.records.min('payer.age')).toBe(17);
+    });
+
+    it('aggregates values through relationships', () => {
+      expect(Person.records.sum('outgoing.amount')).toBe(260);
+      expect(Transaction.records.average('payer.age')).toBe((42 + 17 + 42) / 3);
+      expect(Transaction.records.maxBy('payer.age').id).toBe('t1');
+      expect(Person.records.countBy('outgoing.payer.id')).toEqual(
+        new Map([
+          ['p1', 2],
+          ['p2', 1],
+        ])
+      );
+    });
+
+    it('returns sensible values for empty record sets', () => {
+      const empty = Person.records.where({ age: 100 });
+      expect(empty.sum('age')).toBe(0);
+      expect(empty.average('age')).toBe(null);
+      expect(empty.median('age')).toBe(null);
+      expect(empty.min('age')).toBe(null);
+      expect(empty.max('age')).toBe(null);
+      expect(empty.minBy('age')).toBe(undefined);
+      expect(empty.maxBy('age')).toBe(undefined);
+      expect(empty.countBy('age')).toEqual(new Map());
+      expect(empty.distinct('age')).toEqual([]);
+    });
+
+    it('throws if the values or key are invalid', () => {
+      expect(() => Person.records.sum('lastName')).toThrowError(
+        'Cannot calculate the sum of value Adams.'
+      );
+      expect(() => Person.records.median('role')).toThrowError(TypeError);
+      expect(() => Person.records.sum()).toThrowError(TypeError);
+      expect(() => aggregate('product', [], 'age')).toThrowError(
+        'Unknown aggregate function: product.'
+      );
+    });
+  });
+
+  describe('getIndexedIds', () => {
+    const indexedIds = query => {
+      const ids = getIndexedIds(query, Person[$indexes]);
+      return ids && [...ids];
+    };
+
+    it('uses indexes for equality, lists and ranges', () => {
+      expect(indexedIds({ role: 'admin' })).toEqual(['p1', 'p4']);
+      expect(indexedIds({ role: { $in: ['user', 'guest'] } })).toEqual([
+        'p2',
+        'p3',
+      ]);
+      expect(indexedIds({ age: { $gte: 18, $lt: 42 } })).toEqual(['p4', 'p3']);
+      expect(indexedIds({ role: 'admin', age: { $gt: 20 } })).toEqual(['p1']);
+    });
+
+    it('returns null if no index can be used', () => {
+      expect(indexedIds({ firstName: 'John' })).toBe(null);
+      expect(indexedIds({ role: { $ne: 'admin' } })).toBe(null);
+      expect(indexedIds({ role: null })).toBe(null);
+      expect(indexedIds({ $or: [{ role: 'admin' }] })).toBe(null);
+      expect(indexedIds({ role: { $startsWith: 'a' } })).toBe(null);
+    });
+  });
+});
@@ -0,0 +1,163 @@
+import { describe, it, beforeEach, expect, beforeAll, afterAll } from 'vitest';
+import QueryBuilder from '../src/query_builder.js';
+import RecordSet from '../src/record_set.js';
+import Schema from '../src/schema.js';
+
+describe('QueryBuilder', () => {
+  let consoleWarn = console.warn;
+  let Person;
+
+  beforeAll(() => {
+    global.console.warn = () => {};
+  });
+
+  afterAll(() => {
+    global.console.warn = consoleWarn;
+  });
+
+  beforeEach(() => {
+    const schema = Schema.create({
+      models: [
+        {
+          name: 'person',
+          fields: { name: 'string', role: 'string', age: 'number' },
+          indexes: { role: 'hash' },
+          scopes: { adults: record => record.age >= 18 },
+        },
+      ],
+    });
+    Person = schema.getModel('person');
+    [
+      ['p1', 'John', 'admin', 42],
+      ['p2', 'Jane', 'user', 17],
+      ['p3', 'Jim', 'user', 30],
+      ['p4', 'Jill', 'admin', 18],
+      ['p5', 'Joe', 'user', 65],
+    ].forEach(([id, name, role, age]) =>
+      Person.createRecord({ id, name, role, age })
+    );
+  });
+
+  it('throws if the model is empty', () => {
+    expect(() => new QueryBuilder()).toThrow(TypeError);
+  });
+
+  it('evaluates chained steps', () => {
+    const query = Person.query()
+      .where({ role: 'user' })
+      .whereNot(record => record.age < 18)
+      .orderBy(['age', 'desc'])
+      .offset(1)
+      .limit(5);
+    expect(query).toBeInstanceOf(QueryBuilder);
+    expect(query.ids).toEqual(['p3']);
+    expect([...Person.query().limit(2)]).toEqual([
+      ['p1', Person.records.get('p1')],
+      ['p2', Person.records.get('p2')],
+    ]);
+  });
+
+  it('does not evaluate steps until the query is iterated', () => {
+    let calls = 0;
+    const query = Person.query().where(() => ++calls);
+    expect(calls).toBe(0);
+    expect(query.count).toBe(5);
+    expect(calls).toBe(5);
+  });
+
+  it('evaluates the records at the time of iteration', () => {
+    const query = Person.query().where({ role: 'admin' });
+    expect(query.ids).toEqual(['p1', 'p4']);
+    Person.createRecord({ id: 'p6', name: 'Jack', role: 'admin', age: 20 });
+    Person.updateRecord('p1', { role: 'user' });
+    expect(query.ids).toEqual(['p4', 'p6']);
+  });
+
+  it('processes records through all steps one at a time', () => {
+    const calls = [];
+    const query = Person.query()
+      .where(record => calls.push(['where', record.id]))
+      .whereNot(record => !calls.push(['whereNot', record.id]));
+    expect(query.limit(2).ids).toEqual(['p1', 'p2']);
+    expect(calls).toEqual([
+      ['where', 'p1'],
+      ['whereNot', 'p1'],
+      ['where', 'p2'],
+      ['whereNot', 'p2'],
+    ]);
+  });
+
+  it('short-circuits first, find and limit', () => {
+    let calls = 0;
+    const query = Person.query().where(record => ++calls && record.age >= 18);
+    expect(query.first.id).toBe('p1');
+    expect(calls).toBe(1);
+    calls = 0;
+    expect(query.find({ role: 'user' }).id).toBe('p3');
+    expect(calls).toBe(3);
+    calls = 0;
+    expect(query.findId(record => record.age > 60)).toBe('p5');
+    expect(calls).toBe(5);
+    calls = 0;
+    expect(query.limit(2).ids).toEqual(['p1', 'p3']);
+    expect(calls).toBe(3);
+    calls = 0;
+    expect(query.limit(0).ids).toEqual([]);
+    expect(calls).toBe(0);
+  });
+
+  it('sorts all records reaching a sorting step', () => {
+    const query = Person.query().orderBy('age').limit(2);
+    expect(query.ids).toEqual(['p2', 'p4']);
+    expect(
+      Person.query()
+        .sort((a, b) => b.name.localeCompare(a.name))
+        .limit(2).ids
+    ).toEqual(['p1', 'p5']);
+  });
+
+  it('creates a new query for each step', () => {
+    const users = Person.query().where({ role: 'user' });
+    const adultUsers = users.where({ age: { $gte: 18 } });
+    expect(users.count).toBe(3);
+    expect(adultUsers.count).toBe(2);
+    expect(users.orderBy(['age', 'desc']).first.id).toBe('p5');
+    expect(users.first.id).toBe('p2');
+  });
+
+  it('materializes the results', () => {
+    const query = Person.query().where({ role: 'admin' });
+    const recordSet = query.toRecordSet();
+    expect(recordSet).toBeInstanceOf(RecordSet);
+    expect(recordSet.adults.pluck('id')).toEqual(['p1', 'p4']);
+    expect(query.toArray()).toEqual([
+      Person.records.get('p1'),
+      Person.records.get('p4'),
+    ]);
+    expect(query.toArray({ flat: true })[0]).toEqual({
+      id: 'p1',
+      name: 'John',
+      role: 'admin',
+      age: 42,
+    });
+    expect(query.last.id).toBe('p4');
+    expect(query.where({ age: 100 }).first).toBe(undefined);
+    expect(query.where({ age: 100 }).last).toBe(undefined);
+    expect(query.findId({ age: 100 })).toBe(undefined);
+  });
+
+  it('queries record sets', () => {
+    const query = Person.records.adults.query().where({ role: 'user' });
+    expect(query.ids).toEqual(['p3', 'p5']);
+    expect(Person.records.only('p2', 'p1').query().first.id).toBe('p2');
+  });
+
+  it('throws if the steps are invalid', () => {
+    const query = Person.query();
+    expect(() => query.where({ age: { $between: 1 } })).toThrow(TypeError);
+    expect(() => query.orderBy(['age', 'up'])).toThrow(RangeError);
+    expect(() => query.sort()).toThrow(TypeError);
+    expect(() => query.limit(-1)).toThrow(RangeError);
+    expect(() => query.offset(1.5)).toThrow(RangeError);
+  });
+});
@@ -1,11 +1,7 @@
-import { describe, it, beforeEach, expect, beforeAll, afterAll, afterEach } from 'vitest';
-import { Model } from '../src/model.js';
+import { describe, it, beforeEach, expect, beforeAll, afterAll } from 'vitest';
 import Record from '../src/record.js';
-import symbols from '../src/symbols.js';
 import Schema from '../src/schema.js';
 
-const { $instances, $clearSchemaForTesting } = symbols;
-
 // Indirectly check the record handler here, too.
 // Records are only ever accessed by proxy.
 describe('Record', () => {
@@ -13,12 +9,10 @@ describe('Record', () => {
 
   beforeAll(() => {
     global.console.warn = () => {};
-    Schema.config.experimentalAPIMessages = 'off';
   });
 
   afterAll(() => {
     global.console.warn = consoleWarn;
-    Schema.config.experimentalAPIMessages = 'warn';
   });
 
   let model;
@@ -42,12 +36,6 @@ describe('Record', () => {
     model = schema.getModel('aModel');
   });
 
-  afterEach(() => {
-    // Cleanup to avoid instances leaking to other tests
-    Model[$instances].clear();
-    Schema[$clearSchemaForTesting]();
-  });
-
   it('a record is returned from Model.prototype.createRecord()', () => {
     const record = model.createRecord({ id: 'jd', name: 'John Doe', age: 42 });
     expect(record).toBeInstanceOf(Record);
@@ -87,8 +75,7 @@ describe('Record', () => {
     let record;
 
     beforeEach(() => {
-      Schema[$clearSchemaForTesting]();
-      schema.create({
+      schema = Schema.create({
         models: [
           {
             name: 'bModel',
@@ -125,4 +112,72 @@ describe('Record', () => {
       expect(propertyCalls).toBe(2);
     });
   });
+
+  describe('dirty tracking', () => {
+    let record;
+
+    beforeEach(() => {
+      record = model.createRecord({ id: 'jd', name: 'John Doe', age: 42 });
+    });
+
+    it('considers new records dirty until marked as clean', () => {
+      expect(record.isDirty).toBe(true);
+      expect(record.changes()).toEqual({});
+      expect(record.markClean()).toBe(record);
+      expect(record.isDirty).toBe(false);
+    });
+
+    it('tracks changes since the record was last marked as clean', () => {
+      record.markClean();
+      record.name = 'Jane Doe';
+      record.name = 'Janet Doe';
+      model.updateRecord('jd', { age: 43 });
+      expect(record.isDirty).toBe(true);
+      expect(record.changes()).toEqual({
+        name: ['John Doe', 'Janet Doe'],
+        age: [42, 43],
+      });
+      record.markClean();
+      expect(record.changes()).toEqual({});
+    });
+
+    it('does not consider values set back to the original as changes', () => {
+      record.markClean();
+      record.age = 43;
+      record.age = 42;
+      expect(record.isDirty).toBe(false);
+      expect(record.changes()).toEqual({});
+    });
+
+    it('reverts changes since the record was last marked as clean', () => {
+      record.markClean();
+      record.name = 'Jane Doe';
+      record.age = 43;
+      expect(record.revert()).toBe(record);
+      expect(record.name).toBe('John Doe');
+      expect(record.age).toBe(42);
+      expect(record.isDirty).toBe(false);
+    });
+
+    it('returns all dirty records of a record set', () => {
+      const other = model.createRecord({ id: 'ad', name: 'Anne Doe' });
+      model.createRecord({ id: 'bd', name: 'Bob Doe' });
+      expect(model.records.dirty.size).toBe(3);
+      model.records.forEach(rec => rec.markClean());
+      expect(model.records.dirty.size).toBe(0);
+      other.age = 30;
+      expect(model.records.dirty.pluck('id')).toEqual(['ad']);
+    });
+
+    it('does not consider rolled back changes', () => {
+      record.markClean();
+      expect(() =>
+        schema.transaction(() => {
+          record.name = 'Jane Doe';
+          throw new Error('Abort');
+        })
+      ).toThrow();
+      expect(record.isDirty).toBe(false);
+    });
+  });
 });
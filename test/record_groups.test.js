@@ -0,0 +1,159 @@
+import { describe, it, beforeEach, expect, beforeAll, afterAll } from 'vitest';
+import RecordGroups from '../src/record_groups.js';
+import Schema from '../src/schema.js';
+import symbols from '../src/symbols.js';
+
+const { $set } = symbols;
+
+describe('RecordGroups', () => {
+  let consoleWarn = console.warn;
+  let Person;
+  let Transaction;
+
+  beforeAll(() => {
+    global.console.warn = () => {};
+  });
+
+  afterAll(() => {
+    global.console.warn = consoleWarn;
+  });
+
+  beforeEach(() => {
+    const schema = Schema.create({
+      models: [
+        {
+          name: 'person',
+          fields: { name: 'string', role: 'string', active: 'boolean' },
+        },
+        {
+          name: 'transaction',
+          fields: { amount: 'number', date: 'date' },
+        },
+      ],
+      relationships: [
+        {
+          from: { model: 'transaction', name: 'payer' },
+          to: { model: 'person', name: 'outgoing' },
+          type: 'manyToOne',
+        },
+      ],
+    });
+    Person = schema.getModel('person');
+    Transaction = schema.getModel('transaction');
+
+    [
+      ['p1', 'John', 'admin', true],
+      ['p2', 'Jane', 'user', false],
+      ['p3', 'Jim', 'user', true],
+    ].forEach(([id, name, role, active]) =>
+      Person.createRecord({ id, name, role, active })
+    );
+    [
+      ['t1', 10, '2020-01-01', 'p1'],
+      ['t2', 200, '2021-01-01', 'p2'],
+      ['t3', 50, '2020-01-01', 'p1'],
+      ['t4', 30, '2021-01-01', 'p3'],
+      ['t5', 5, null, null],
+    ].forEach(([id, amount, date, payer]) =>
+      Transaction.createRecord({ id, amount, date, payer })
+    );
+  });
+
+  it('preserves the type and order of keys', () => {
+    const byActive = Person.records.groupBy('active');
+    expect([...byActive.keys()]).toEqual([true, false]);
+    expect(byActive.has('true')).toBe(false);
+
+    const byDate = Transaction.records.groupBy('date');
+    expect([...byDate.keys()]).toEqual([
+      new Date('2020-01-01'),
+      new Date('2021-01-01'),
+      null,
+    ]);
+    expect(byDate.get(new Date('2021-01-01')).pluck('id')).toEqual([
+      't2',
+      't4',
+    ]);
+  });
+
+  it('groups by relationship paths and related records', () => {
+    const byPayer = Transaction.records.groupBy('payer');
+    expect([...byPayer.keys()]).toEqual(['p1', 'p2', 'p3', null]);
+    const byRole = Transaction.records.groupBy('payer.role', 'date');
+    expect([...byRole.keys()]).toEqual([
+      ['admin', new Date('2020-01-01')],
+      ['user', new Date('2021-01-01')],
+      [null, null],
+    ]);
+    expect(byRole.get(['user', new Date('2021-01-01')]).pluck('id')).toEqual([
+      't2',
+      't4',
+    ]);
+  });
+
+  it('aggregates the records of each group', () => {
+    const totals = Transaction.records.groupBy('payer.role').aggregate({
+      total: ['sum', 'amount'],
+      count: ['count'],
+      largest: ['maxBy', 'amount'],
+      payers: (records, key) => `${key}: ${records.distinct('payer.name')}`,
+    });
+    expect([...totals.keys()]).toEqual(['admin', 'user', null]);
+    expect(totals.get('user')).toEqual({
+      total: 230,
+      count: 2,
+      largest: Transaction.records.get('t2'),
+      payers: 'user: Jane,Jim',
+    });
+    expect(totals.get(null).payers).toBe('null: ');
+  });
+
+  it('aggregates nested groups', () => {
+    const totals = Transaction.records
+      .groupBy('payer.role', 'date', { nested: true })
+      .aggregate({ total: ['sum', 'amount'] });
+    expect(totals.get('admin').get(new Date('2020-01-01'))).toEqual({
+      total: 60,
+    });
+    expect(totals.get('user')).toBeInstanceOf(RecordGroups);
+  });
+
+  it('filters groups', () => {
+    const groups = Transaction.records.groupBy('payer');
+    expect([...groups.having(records => records.count > 1).keys()]).toEqual([
+      'p1',
+    ]);
+    const totals = groups
+      .aggregate({ total: ['sum', 'amount'] })
+      .having(({ total }, key) => key !== null && total >= 30);
+    expect([...totals.entries()]).toEqual([
+      ['p1', { total: 60 }],
+      ['p2', { total: 200 }],
+      ['p3', { total: 30 }],
+    ]);
+  });
+
+  it('throws if the groups are modified directly', () => {
+    const groups = Person.records.groupBy('role');
+    expect(() => groups.set('guest', null)).toThrow(TypeError);
+    expect(() => groups.delete('user')).toThrow(TypeError);
+    expect(() => groups.clear()).toThrow(TypeError);
+    groups[$set]('guest', null);
+    expect(groups.has('guest')).toBe(true);
+  });
+
+  it('throws if the arguments are invalid', () => {
+    const groups = Transaction.records.groupBy('payer');
+    expect(() => groups.having(null)).toThrow(TypeError);
+    expect(() => groups.aggregate(null)).toThrow(TypeError);
+    expect(() => groups.aggregate({ total: 'sum' })).toThrow(TypeError);
+    expect(() => groups.aggregate({ total: ['product', 'amount'] })).toThrow(
+      'Unknown aggregate function: product.'
+    );
+    expect(() => groups.aggregate({ total: ['sum'] })).toThrow(TypeError);
+    const totals = groups.aggregate({ count: ['count'] });
+    expect(() => totals.aggregate({ count: ['count'] })).toThrow(
+      'The groups have already been aggregated.'
+    );
+  });
+});
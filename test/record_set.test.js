@@ -1,10 +1,8 @@
-import { describe, it, beforeEach, expect, beforeAll, afterAll, afterEach } from 'vitest';
-import { Model } from '../src/model.js';
+import { describe, it, beforeEach, expect, beforeAll, afterAll } from 'vitest';
 import symbols from '../src/symbols.js';
 import Schema from '../src/schema.js';
 
-const { $instances, $clearSchemaForTesting, $clearRecordSetForTesting } =
-  symbols;
+const { $clearRecordSetForTesting } = symbols;
 
 // Indirectly check other record-related classes, too.
 describe('RecordSet', () => {
@@ -12,12 +10,10 @@ describe('RecordSet', () => {
 
   beforeAll(() => {
     global.console.warn = () => {};
-    Schema.config.experimentalAPIMessages = 'off';
   });
 
   afterAll(() => {
     global.console.warn = consoleWarn;
-    Schema.config.experimentalAPIMessages = 'warn';
   });
 
   let model;
@@ -63,12 +59,6 @@ describe('RecordSet', () => {
     });
   });
 
-  afterEach(() => {
-    // Cleanup to avoid instances leaking to other tests
-    Model[$instances].clear();
-    Schema[$clearSchemaForTesting]();
-  });
-
   describe('first', () => {
     it('should return the first record', () => {
       expect(model.records.first.name).toBe('John Doe');
@@ -203,6 +193,10 @@ describe('RecordSet', () => {
     it('should return undefined if no record found', () => {
       expect(model.records.find(rec => rec.age === 0)).toBeUndefined();
     });
+
+    it('should find a record matching a query', () => {
+      expect(model.records.find({ age: { $lt: 40 } }).name).toBe('Jane Doe');
+    });
   });
 
   describe('findId', () => {
@@ -213,6 +207,10 @@ describe('RecordSet', () => {
     it('should return undefined if no record found', () => {
       expect(model.records.findId(rec => rec.age === 0)).toBeUndefined();
     });
+
+    it('should find a record id matching a query', () => {
+      expect(model.records.findId({ firstName: 'Jane', age: 15 })).toBe('3');
+    });
   });
 
   describe('only', () => {
@@ -250,6 +248,55 @@ describe('RecordSet', () => {
     });
   });
 
+  describe('set operations', () => {
+    let first;
+    let second;
+
+    beforeEach(() => {
+      first = model.records.only('3', '1', '0');
+      second = model.records.only('2', '0', '3');
+    });
+
+    it('should return the union of the record sets', () => {
+      expect(first.union(second).pluck('id')).toEqual(['3', '1', '0', '2']);
+      expect(second.union(first).pluck('id')).toEqual(['2', '0', '3', '1']);
+    });
+
+    it('should return the intersection of the record sets', () => {
+      expect(first.intersect(second).pluck('id')).toEqual(['3', '0']);
+      expect(second.intersect(first).pluck('id')).toEqual(['0', '3']);
+    });
+
+    it('should return the difference of the record sets', () => {
+      expect(first.difference(second).pluck('id')).toEqual(['1']);
+      expect(second.difference(first).pluck('id')).toEqual(['2']);
+    });
+
+    it('should return the symmetric difference of the record sets', () => {
+      expect(first.symmetricDifference(second).pluck('id')).toEqual(['1', '2']);
+      expect(second.symmetricDifference(first).pluck('id')).toEqual(['2', '1']);
+    });
+
+    it('should return record sets of the same model', () => {
+      const result = model.records.adults.intersect(first.union(second));
+      expect(result.adults.pluck('id')).toEqual(['0', '1', '2']);
+      expect(first.union(model.records.where(() => false)).count).toBe(3);
+    });
+
+    it('should throw if the record sets are not of the same model', () => {
+      const otherModel = Schema.create({
+        models: [{ name: 'person', fields: { name: 'string' } }],
+      }).getModel('person');
+      otherModel.createRecord({ id: '0', name: 'John Doe' });
+      ['union', 'intersect', 'difference', 'symmetricDifference'].forEach(
+        method => {
+          expect(() => first[method](otherModel.records)).toThrow(TypeError);
+          expect(() => first[method]([])).toThrow(TypeError);
+        }
+      );
+    });
+  });
+
   describe('sort', () => {
     it('should sort the records', () => {
       const result = model.records.sort((a, b) => a.age - b.age);
@@ -258,6 +305,18 @@ describe('RecordSet', () => {
     });
   });
 
+  describe('orderBy', () => {
+    it('should sort the records by the given keys', () => {
+      const result = model.records.orderBy(['lastName', 'desc'], 'age');
+      expect(result.pluck('id')).toEqual(['3', '2', '1', '0']);
+    });
+
+    it('should return a record set with scopes', () => {
+      const result = model.records.orderBy('age').adults;
+      expect(result.pluck('id')).toEqual(['1', '2', '0']);
+    });
+  });
+
   describe('every', () => {
     it('should return true if all records match the predicate', () => {
       expect(model.records.every(rec => rec.age >= 10)).toBe(true);
@@ -317,23 +376,70 @@ describe('RecordSet', () => {
     });
   });
 
+  describe('aggregates', () => {
+    it('should aggregate the values of the given key', () => {
+      expect(model.records.sum('age')).toBe(125);
+      expect(model.records.average('age')).toBe(31.25);
+      expect(model.records.median('age')).toBe(34);
+      expect(model.records.min('age')).toBe(15);
+      expect(model.records.max('name')).toBe('John Smith');
+      expect(model.records.minBy('age').id).toBe('3');
+      expect(model.records.maxBy('age').id).toBe('0');
+      expect(model.records.countBy('lastName')).toEqual(
+        new Map([
+          ['Doe', 2],
+          ['Smith', 2],
+        ])
+      );
+      expect(model.records.distinct('firstName')).toEqual(['John', 'Jane']);
+    });
+  });
+
   describe('groupBy', () => {
     it('should group the records by the given key', () => {
-      const result = Object.entries(model.records.groupBy('age')).reduce(
-        (acc, [key, value]) => {
-          acc[key] = value.toArray({ flat: true });
-          return acc;
-        },
-        {}
-      );
-      expect(result).toEqual({
-        15: [{ id: '3', age: 15, name: 'Jane Smith' }],
-        34: [
-          { id: '1', age: 34, name: 'Jane Doe' },
-          { id: '2', age: 34, name: 'John Smith' },
+      const result = [...model.records.groupBy('age')].map(([key, value]) => [
+        key,
+        value.toArray({ flat: true }),
+      ]);
+      expect(result).toEqual([
+        [42, [{ id: '0', age: 42, name: 'John Doe' }]],
+        [
+          34,
+          [
+            { id: '1', age: 34, name: 'Jane Doe' },
+            { id: '2', age: 34, name: 'John Smith' },
+          ],
         ],
-        42: [{ id: '0', age: 42, name: 'John Doe' }],
-      });
+        [15, [{ id: '3', age: 15, name: 'Jane Smith' }]],
+      ]);
+    });
+
+    it('should group the records by multiple keys', () => {
+      const result = model.records.groupBy('lastName', 'age');
+      expect([...result.keys()]).toEqual([
+        ['Doe', 42],
+        ['Doe', 34],
+        ['Smith', 34],
+        ['Smith', 15],
+      ]);
+      expect(result.get(['Smith', 34]).pluck('id')).toEqual(['2']);
+    });
+
+    it('should group the records into nested groups', () => {
+      const result = model.records.groupBy('age', 'lastName', { nested: true });
+      expect([...result.get(34).keys()]).toEqual(['Doe', 'Smith']);
+      expect(result.get(34).get('Smith').pluck('id')).toEqual(['2']);
+    });
+
+    it('should group the records by the result of a function', () => {
+      const result = model.records.groupBy(record => record.age >= 18);
+      expect([...result.keys()]).toEqual([true, false]);
+      expect(result.get(false).pluck('id')).toEqual(['3']);
+    });
+
+    it('should throw if the keys are invalid', () => {
+      expect(() => model.records.groupBy()).toThrow(TypeError);
+      expect(() => model.records.groupBy('age', 42)).toThrow(TypeError);
     });
   });
 
@@ -343,6 +449,14 @@ describe('RecordSet', () => {
       expect(result.count).toBe(3);
     });
 
+    it('should filter over the records using a query', () => {
+      const result = model.records.where({
+        lastName: 'Doe',
+        age: { $gte: 18 },
+      });
+      expect(result.pluck('name')).toEqual(['John Doe', 'Jane Doe']);
+    });
+
     it('should return an empty record set if no records', () => {
       model.records[$clearRecordSetForTesting]();
       expect(model.records.where(rec => rec.age >= 18).count).toBe(0);
@@ -355,6 +469,11 @@ describe('RecordSet', () => {
       expect(result.count).toBe(1);
     });
 
+    it('should filter over the records using a query', () => {
+      const result = model.records.whereNot({ age: { $gte: 18 } });
+      expect(result.pluck('name')).toEqual(['Jane Smith']);
+    });
+
     it('should return an empty record set if no records', () => {
       model.records[$clearRecordSetForTesting]();
       expect(model.records.whereNot(rec => rec.age >= 18).count).toBe(0);
@@ -520,6 +639,120 @@ describe('RecordSet', () => {
     });
   });
 
+  describe('whereIndexed', () => {
+    beforeEach(() => {
+      schema = Schema.create({
+        models: [
+          {
+            name: 'person',
+            fields: { name: 'string', age: 'number' },
+            indexes: { age: 'sorted', name: 'hash' },
+            scopes: {
+              does: record => record.name.endsWith('Doe'),
+            },
+          },
+        ],
+      });
+      model = schema.getModel('person');
+      [
+        { id: '0', name: 'John Doe', age: 42 },
+        { id: '1', name: 'Jane Doe', age: 34 },
+        { id: '2', name: 'John Smith', age: 34 },
+        { id: '3', name: 'Jane Smith', age: 15 },
+      ].forEach(record => model.createRecord(record));
+    });
+
+    it('returns the records matching the given value', () => {
+      expect(model.records.whereIndexed('age', 34).pluck('id')).toEqual([
+        '1',
+        '2',
+      ]);
+      expect(
+        model.records.whereIndexed('name', 'Jane Doe').pluck('id')
+      ).toEqual(['1']);
+    });
+
+    it('only returns records contained in the record set', () => {
+      expect(model.records.does.whereIndexed('age', 34).pluck('id')).toEqual([
+        '1',
+      ]);
+    });
+
+    it('returns the records within the given range', () => {
+      expect(
+        model.records.whereIndexedRange('age', { gt: 15, lte: 42 }).pluck('id')
+      ).toEqual(['1', '2', '0']);
+    });
+
+    it('throws if the field is not indexed appropriately', () => {
+      expect(() => model.records.whereIndexed('id', '1')).toThrow();
+      expect(() =>
+        model.records.whereIndexedRange('name', { gt: 'J' })
+      ).toThrow();
+    });
+
+    it('uses indexes for queries, preserving the record set order', () => {
+      expect(
+        model.records.where({ age: { $gte: 15, $lt: 42 } }).pluck('id')
+      ).toEqual(['1', '2', '3']);
+      expect(model.records.does.where({ age: 34 }).pluck('id')).toEqual(['1']);
+      expect(
+        model.records.where({ name: { $in: ['John Doe', 'Jane Smith'] } }).count
+      ).toBe(2);
+    });
+  });
+
+  describe('enum predicates', () => {
+    beforeEach(() => {
+      schema = Schema.create({
+        models: [
+          {
+            name: 'person',
+            fields: {
+              name: 'string',
+              age: 'number',
+              role: { type: 'enum', values: ['admin', 'user', 'guest'] },
+            },
+            scopes: {
+              adults: record => record.age >= 18,
+            },
+          },
+        ],
+      });
+      model = schema.getModel('person');
+      [
+        { id: '0', name: 'John Doe', age: 42, role: 'admin' },
+        { id: '1', name: 'Jane Doe', age: 34, role: 'user' },
+        { id: '2', name: 'John Smith', age: 15, role: 'admin' },
+        { id: '3', name: 'Jane Smith', age: 20, role: 'guest' },
+      ].forEach(record => model.createRecord(record));
+    });
+
+    it('returns the records matching the given value', () => {
+      expect(model.records.whereRole('admin').pluck('id')).toEqual(['0', '2']);
+    });
+
+    it('returns the records matching any of the given values', () => {
+      expect(model.records.whereRole('user', 'guest').pluck('id')).toEqual([
+        '1',
+        '3',
+      ]);
+    });
+
+    it('can be chained with scopes', () => {
+      expect(model.records.adults.whereRole('admin').pluck('id')).toEqual([
+        '0',
+      ]);
+      expect(model.records.whereRole('admin').adults.pluck('id')).toEqual([
+        '0',
+      ]);
+    });
+
+    it('throws if the value is not allowed', () => {
+      expect(() => model.records.whereRole('owner')).toThrow();
+    });
+  });
+
   describe('#copyScopesFromModel', () => {
     it('should copy scopes when a new recordSet is created', () => {
       const newRecordSet = model.records.limit(4);
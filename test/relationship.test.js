@@ -1,137 +1,178 @@
-import { describe, it, beforeEach, expect, beforeAll, afterAll, afterEach } from 'vitest';
-import { Schema } from '../src/schema.js';
+import {
+  describe,
+  it,
+  beforeEach,
+  expect,
+  beforeAll,
+  afterAll,
+  afterEach,
+} from 'vitest';
 import { Model } from '../src/model.js';
 import { Relationship } from '../src/relationship.js';
 import symbols from '../src/symbols.js';
 
 const {
-  $instances,
   $getField,
   $getProperty,
   $addRelationshipAsField,
   $addRelationshipAsProperty,
+  $getDanglingReferences,
 } = symbols;
 
 describe('Relationship', () => {
   let consoleWarn = console.warn;
 
+  const modelMap = new Map();
+
+  const createModel = modelData => {
+    const model = new Model(modelData);
+    modelMap.set(model.name, model);
+    return model;
+  };
+
+  const createRelationship = relationshipData =>
+    new Relationship({ ...relationshipData, models: modelMap });
+
   beforeAll(() => {
     global.console.warn = () => {};
-    Schema.config.experimentalAPIMessages = 'off';
   });
 
   afterAll(() => {
     global.console.warn = consoleWarn;
-    Schema.config.experimentalAPIMessages = 'warn';
   });
 
   afterEach(() => {
     // Cleanup to avoid instances leaking to other tests
-    Model[$instances].clear();
+    modelMap.clear();
   });
 
   it('throws if type is invalid', () => {
     // eslint-disable-next-line no-unused-vars
-    const fromModel = new Model({ name: 'foo' });
+    const fromModel = createModel({ name: 'foo' });
+    // eslint-disable-next-line no-unused-vars
+    const toModel = createModel({ name: 'bar' });
+    expect(() =>
+      createRelationship({ from: 'foo', to: 'bar', type: 'baz' })
+    ).toThrow();
+  });
+
+  it('throws if integrity is invalid', () => {
+    // eslint-disable-next-line no-unused-vars
+    const fromModel = createModel({ name: 'foo' });
+    // eslint-disable-next-line no-unused-vars
+    const toModel = createModel({ name: 'bar' });
+    expect(() =>
+      createRelationship({
+        from: 'foo',
+        to: 'bar',
+        type: 'manyToOne',
+        integrity: 'lenient',
+      })
+    ).toThrow();
+  });
+
+  it('throws if onDelete is invalid', () => {
+    // eslint-disable-next-line no-unused-vars
+    const fromModel = createModel({ name: 'foo' });
     // eslint-disable-next-line no-unused-vars
-    const toModel = new Model({ name: 'bar' });
-    expect(
-      () => new Relationship({ from: 'foo', to: 'bar', type: 'baz' })
+    const toModel = createModel({ name: 'bar' });
+    expect(() =>
+      createRelationship({
+        from: 'foo',
+        to: 'bar',
+        type: 'manyToOne',
+        onDelete: 'delete',
+      })
     ).toThrow();
   });
 
   it('throws if the from model is invalid', () => {
     // eslint-disable-next-line no-unused-vars
-    const toModel = new Model({ name: 'bar' });
-    expect(
-      () => new Relationship({ from: 'foo', to: 'bar', type: 'oneToOne' })
+    const toModel = createModel({ name: 'bar' });
+    expect(() =>
+      createRelationship({ from: 'foo', to: 'bar', type: 'oneToOne' })
     ).toThrow();
   });
 
   it('throws if the to model is invalid', () => {
     // eslint-disable-next-line no-unused-vars
-    const fromModel = new Model({ name: 'foo' });
-    expect(
-      () => new Relationship({ from: 'foo', to: 'bar', type: 'oneToOne' })
+    const fromModel = createModel({ name: 'foo' });
+    expect(() =>
+      createRelationship({ from: 'foo', to: 'bar', type: 'oneToOne' })
     ).toThrow();
   });
 
   it('throws if the from model field name already exists', () => {
     // eslint-disable-next-line no-unused-vars
-    const fromModel = new Model({
+    const fromModel = createModel({
       name: 'foo',
       fields: { aField: 'string' },
     });
     // eslint-disable-next-line no-unused-vars
-    const toModel = new Model({ name: 'bar' });
-    expect(
-      () =>
-        new Relationship({
-          from: { model: 'foo', name: 'aField' },
-          to: 'bar',
-          type: 'oneToOne',
-        })
+    const toModel = createModel({ name: 'bar' });
+    expect(() =>
+      createRelationship({
+        from: { model: 'foo', name: 'aField' },
+        to: 'bar',
+        type: 'oneToOne',
+      })
     ).toThrow();
   });
 
   it('throws if the from model field name is invalid', () => {
     // eslint-disable-next-line no-unused-vars
-    const fromModel = new Model({ name: 'foo' });
+    const fromModel = createModel({ name: 'foo' });
     // eslint-disable-next-line no-unused-vars
-    const toModel = new Model({ name: 'bar' });
-    expect(
-      () =>
-        new Relationship({
-          from: { model: 'foo', name: '1field' },
-          to: 'bar',
-          type: 'oneToOne',
-        })
+    const toModel = createModel({ name: 'bar' });
+    expect(() =>
+      createRelationship({
+        from: { model: 'foo', name: '1field' },
+        to: 'bar',
+        type: 'oneToOne',
+      })
     ).toThrow();
   });
 
   it('throws if the to model field name already exists', () => {
     // eslint-disable-next-line no-unused-vars
-    const fromModel = new Model({ name: 'foo' });
+    const fromModel = createModel({ name: 'foo' });
     // eslint-disable-next-line no-unused-vars
-    const toModel = new Model({
+    const toModel = createModel({
       name: 'bar',
       fields: { aField: 'string' },
     });
-    expect(
-      () =>
-        new Relationship({
-          from: 'foo',
-          to: { model: 'bar', name: 'aField' },
-          type: 'oneToOne',
-        })
+    expect(() =>
+      createRelationship({
+        from: 'foo',
+        to: { model: 'bar', name: 'aField' },
+        type: 'oneToOne',
+      })
     ).toThrow();
   });
 
   it('throws if the to model field name is invalid', () => {
     // eslint-disable-next-line no-unused-vars
-    const fromModel = new Model({ name: 'foo' });
+    const fromModel = createModel({ name: 'foo' });
     // eslint-disable-next-line no-unused-vars
-    const toModel = new Model({ name: 'bar' });
-    expect(
-      () =>
-        new Relationship({
-          from: 'foo',
-          to: { model: 'bar', name: '1field' },
-          type: 'oneToOne',
-        })
+    const toModel = createModel({ name: 'bar' });
+    expect(() =>
+      createRelationship({
+        from: 'foo',
+        to: { model: 'bar', name: '1field' },
+        type: 'oneToOne',
+      })
     ).toThrow();
   });
 
   it('throws if the relationship is symmetric on the same model without names', () => {
     // eslint-disable-next-line no-unused-vars
-    const fromModel = new Model({ name: 'foo' });
-    expect(
-      () =>
-        new Relationship({
-          from: 'foo',
-          to: 'foo',
-          type: 'oneToOne',
-        })
+    const fromModel = createModel({ name: 'foo' });
+    expect(() =>
+      createRelationship({
+        from: 'foo',
+        to: 'foo',
+        type: 'oneToOne',
+      })
     ).toThrow();
   });
 
@@ -140,12 +181,12 @@ describe('Relationship', () => {
     let relationships = {};
 
     beforeEach(() => {
-      models.modelAlpha = new Model({ name: 'modelAlpha' });
-      models.modelBeta = new Model({ name: 'modelBeta' });
-      models.modelGamma = new Model({ name: 'modelGamma' });
-      models.modelDelta = new Model({ name: 'modelDelta' });
+      models.modelAlpha = createModel({ name: 'modelAlpha' });
+      models.modelBeta = createModel({ name: 'modelBeta' });
+      models.modelGamma = createModel({ name: 'modelGamma' });
+      models.modelDelta = createModel({ name: 'modelDelta' });
 
-      relationships.oneToOne = new Relationship({
+      relationships.oneToOne = createRelationship({
         from: 'modelAlpha',
         to: 'modelBeta',
         type: 'oneToOne',
@@ -153,7 +194,7 @@ describe('Relationship', () => {
       models.modelAlpha[$addRelationshipAsField](relationships.oneToOne);
       models.modelBeta[$addRelationshipAsProperty](relationships.oneToOne);
 
-      relationships.oneToMany = new Relationship({
+      relationships.oneToMany = createRelationship({
         from: 'modelBeta',
         to: 'modelGamma',
         type: 'oneToMany',
@@ -161,7 +202,7 @@ describe('Relationship', () => {
       models.modelBeta[$addRelationshipAsField](relationships.oneToMany);
       models.modelGamma[$addRelationshipAsProperty](relationships.oneToMany);
 
-      relationships.manyToOne = new Relationship({
+      relationships.manyToOne = createRelationship({
         from: 'modelGamma',
         to: 'modelDelta',
         type: 'manyToOne',
@@ -169,7 +210,7 @@ describe('Relationship', () => {
       models.modelGamma[$addRelationshipAsField](relationships.manyToOne);
       models.modelDelta[$addRelationshipAsProperty](relationships.manyToOne);
 
-      relationships.manyToMany = new Relationship({
+      relationships.manyToMany = createRelationship({
         from: 'modelDelta',
         to: 'modelAlpha',
         type: 'manyToMany',
@@ -177,7 +218,7 @@ describe('Relationship', () => {
       models.modelDelta[$addRelationshipAsField](relationships.manyToMany);
       models.modelAlpha[$addRelationshipAsProperty](relationships.manyToMany);
 
-      relationships.oneToOneNamed = new Relationship({
+      relationships.oneToOneNamed = createRelationship({
         from: { model: 'modelAlpha', name: 'parent' },
         to: { model: 'modelBeta', name: 'child' },
         type: 'oneToOne',
@@ -185,7 +226,7 @@ describe('Relationship', () => {
       models.modelAlpha[$addRelationshipAsField](relationships.oneToOneNamed);
       models.modelBeta[$addRelationshipAsProperty](relationships.oneToOneNamed);
 
-      relationships.oneToManyNamed = new Relationship({
+      relationships.oneToManyNamed = createRelationship({
         from: { model: 'modelBeta', name: 'children' },
         to: { model: 'modelGamma', name: 'parent' },
         type: 'oneToMany',
@@ -195,7 +236,7 @@ describe('Relationship', () => {
         relationships.oneToManyNamed
       );
 
-      relationships.manyToOneNamed = new Relationship({
+      relationships.manyToOneNamed = createRelationship({
         from: { model: 'modelGamma', name: 'parent2' },
         to: { model: 'modelDelta', name: 'children2' },
         type: 'manyToOne',
@@ -205,7 +246,7 @@ describe('Relationship', () => {
         relationships.manyToOneNamed
       );
 
-      relationships.manyToManyNamed = new Relationship({
+      relationships.manyToManyNamed = createRelationship({
         from: { model: 'modelDelta', name: 'friends' },
         to: { model: 'modelAlpha', name: 'friends' },
         type: 'manyToMany',
@@ -215,7 +256,7 @@ describe('Relationship', () => {
         relationships.manyToManyNamed
       );
 
-      relationships.sameModelOneToOne = new Relationship({
+      relationships.sameModelOneToOne = createRelationship({
         from: { model: 'modelAlpha', name: 'friend' },
         to: { model: 'modelAlpha', name: 'colleague' },
         type: 'oneToOne',
@@ -227,7 +268,7 @@ describe('Relationship', () => {
         relationships.sameModelOneToOne
       );
 
-      relationships.sameModelManyToMany = new Relationship({
+      relationships.sameModelManyToMany = createRelationship({
         from: { model: 'modelAlpha', name: 'friends2' },
         to: { model: 'modelAlpha', name: 'colleagues' },
         type: 'manyToMany',
@@ -535,4 +576,253 @@ describe('Relationship', () => {
       });
     });
   });
+
+  describe('integrity', () => {
+    let models = {};
+    let relationships = {};
+
+    beforeEach(() => {
+      models.person = createModel({ name: 'person' });
+      models.transaction = createModel({ name: 'transaction' });
+      models.person.createRecord({ id: 'p1' });
+      models.person.createRecord({ id: 'p2' });
+
+      relationships.payer = createRelationship({
+        from: { model: 'transaction', name: 'payer' },
+        to: { model: 'person', name: 'outgoing' },
+        type: 'manyToOne',
+        integrity: 'strict',
+      });
+      relationships.participants = createRelationship({
+        from: { model: 'transaction', name: 'participants' },
+        to: { model: 'person', name: 'transactions' },
+        type: 'manyToMany',
+        integrity: 'strict',
+      });
+      relationships.payee = createRelationship({
+        from: { model: 'transaction', name: 'payee' },
+        to: { model: 'person', name: 'incoming' },
+        type: 'manyToOne',
+      });
+      Object.values(relationships).forEach(relationship => {
+        models.transaction[$addRelationshipAsField](relationship);
+        models.person[$addRelationshipAsProperty](relationship);
+      });
+    });
+
+    it('throws when creating a record that references missing records', () => {
+      expect(() =>
+        models.transaction.createRecord({ id: 't1', payer: 'p3' })
+      ).toThrowError(ReferenceError);
+      expect(() =>
+        models.transaction.createRecord({
+          id: 't1',
+          participants: ['p1', 'p3'],
+        })
+      ).toThrowError(/p3/);
+      expect(models.transaction.records.has('t1')).toBe(false);
+    });
+
+    it('throws when updating a record to reference missing records', () => {
+      const record = models.transaction.createRecord({
+        id: 't1',
+        payer: 'p1',
+        participants: ['p1', 'p2'],
+      });
+      expect(() => {
+        record.payer = 'p3';
+      }).toThrowError(ReferenceError);
+      expect(() =>
+        models.transaction.updateRecord('t1', { participants: ['p3'] })
+      ).toThrowError(ReferenceError);
+      expect(record.payer.id).toBe('p1');
+      expect(record.participants.pluck('id')).toEqual(['p1', 'p2']);
+    });
+
+    it('allows empty values', () => {
+      const record = models.transaction.createRecord({
+        id: 't1',
+        payer: null,
+      });
+      record.participants = [];
+      expect(record.payer).toBe(undefined);
+    });
+
+    it('does not check relationships with loose integrity', () => {
+      const record = models.transaction.createRecord({
+        id: 't1',
+        payee: 'p3',
+      });
+      expect(record.payee).toBe(undefined);
+    });
+
+    it('reports dangling references', () => {
+      models.transaction.createRecord({ id: 't1', payee: 'p3' });
+      models.transaction.createRecord({
+        id: 't2',
+        payer: 'p1',
+        participants: ['p1', 'p2'],
+      });
+      models.person.removeRecord('p2');
+      expect(relationships.payer[$getDanglingReferences]()).toEqual([]);
+      expect(relationships.participants[$getDanglingReferences]()).toEqual([
+        {
+          model: 'transaction',
+          recordId: 't2',
+          field: 'participants',
+          target: 'person',
+          missingId: 'p2',
+        },
+      ]);
+      expect(relationships.payee[$getDanglingReferences]()).toEqual([
+        {
+          model: 'transaction',
+          recordId: 't1',
+          field: 'payee',
+          target: 'person',
+          missingId: 'p3',
+        },
+      ]);
+    });
+  });
+
+  describe('onDelete', () => {
+    let models = {};
+
+    const addRelationship = relationshipData => {
+      const relationship = createRelationship(relationshipData);
+      models.transaction[$addRelationshipAsField](relationship);
+      models.person[$addRelationshipAsProperty](relationship);
+    };
+
+    beforeEach(() => {
+      models.person = createModel({ name: 'person' });
+      models.transaction = createModel({ name: 'transaction' });
+      models.person.createRecord({ id: 'p1' });
+      models.person.createRecord({ id: 'p2' });
+    });
+
+    it('cascades removals to records referencing the removed record', () => {
+      addRelationship({
+        from: { model: 'transaction', name: 'payer' },
+        to: { model: 'person', name: 'outgoing' },
+        type: 'manyToOne',
+        onDelete: 'cascade',
+      });
+      models.transaction.createRecord({ id: 't1', payer: 'p1' });
+      models.transaction.createRecord({ id: 't2', payer: 'p1' });
+      models.transaction.createRecord({ id: 't3', payer: 'p2' });
+      models.person.removeRecord('p1');
+      expect([...models.transaction.records.keys()]).toEqual(['t3']);
+    });
+
+    it('nullifies fields referencing the removed record', () => {
+      addRelationship({
+        from: { model: 'transaction', name: 'payer' },
+        to: { model: 'person', name: 'outgoing' },
+        type: 'manyToOne',
+        onDelete: 'nullify',
+      });
+      const record = models.transaction.createRecord({ id: 't1', payer: 'p1' });
+      models.person.removeRecord('p1');
+      expect(models.transaction.records.size).toBe(1);
+      expect(record.payer).toBe(undefined);
+      expect(models.transaction.records.whereIndexed('payer', 'p1').size).toBe(
+        0
+      );
+    });
+
+    it('restricts removal of referenced records', () => {
+      addRelationship({
+        from: { model: 'transaction', name: 'payer' },
+        to: { model: 'person', name: 'outgoing' },
+        type: 'manyToOne',
+        onDelete: 'restrict',
+      });
+      models.transaction.createRecord({ id: 't1', payer: 'p1' });
+      expect(() => models.person.removeRecord('p1')).toThrowError(/t1/);
+      expect(models.person.records.has('p1')).toBe(true);
+      expect(models.person.removeRecord('p2')).toBe(true);
+    });
+
+    it('restricts removal of records that a removal would cascade to', () => {
+      addRelationship({
+        from: { model: 'transaction', name: 'payer' },
+        to: { model: 'person', name: 'outgoing' },
+        type: 'manyToOne',
+        onDelete: 'cascade',
+      });
+      models.receipt = createModel({ name: 'receipt' });
+      const relationship = createRelationship({
+        from: { model: 'receipt', name: 'transaction' },
+        to: { model: 'transaction', name: 'receipts' },
+        type: 'manyToOne',
+        onDelete: 'restrict',
+      });
+      models.receipt[$addRelationshipAsField](relationship);
+      models.transaction[$addRelationshipAsProperty](relationship);
+      models.transaction.createRecord({ id: 't1', payer: 'p1' });
+      models.transaction.createRecord({ id: 't2', payer: 'p1' });
+      models.receipt.createRecord({ id: 'r1', transaction: 't2' });
+      expect(() => models.person.removeRecord('p1')).toThrowError(/t2/);
+      expect(models.person.records.has('p1')).toBe(true);
+      expect(models.transaction.records.pluck('id')).toEqual(['t1', 't2']);
+    });
+
+    it('removes the id from array-valued fields', () => {
+      ['cascade', 'nullify'].forEach((onDelete, i) =>
+        addRelationship({
+          from: { model: 'transaction', name: `participants${i}` },
+          to: { model: 'person', name: `transactions${i}` },
+          type: 'manyToMany',
+          onDelete,
+        })
+      );
+      const record = models.transaction.createRecord({
+        id: 't1',
+        participants0: ['p1', 'p2'],
+        participants1: ['p2', 'p1'],
+      });
+      models.person.removeRecord('p1');
+      expect(models.transaction.records.has('t1')).toBe(true);
+      expect(record.participants0.pluck('id')).toEqual(['p2']);
+      expect(record.participants1.pluck('id')).toEqual(['p2']);
+    });
+
+    it('leaves references as-is by default', () => {
+      addRelationship({
+        from: { model: 'transaction', name: 'payer' },
+        to: { model: 'person', name: 'outgoing' },
+        type: 'manyToOne',
+      });
+      const record = models.transaction.createRecord({ id: 't1', payer: 'p1' });
+      models.person.removeRecord('p1');
+      expect(record.toObject().payer).toBe('p1');
+    });
+  });
+
+  describe('reverse relationships', () => {
+    it('returns associated records in model order after updates', () => {
+      const person = createModel({ name: 'person' });
+      const transaction = createModel({ name: 'transaction' });
+      const relationship = createRelationship({
+        from: { model: 'transaction', name: 'payer' },
+        to: { model: 'person', name: 'outgoing' },
+        type: 'manyToOne',
+      });
+      transaction[$addRelationshipAsField](relationship);
+      person[$addRelationshipAsProperty](relationship);
+      const a = person.createRecord({ id: 'a' });
+      person.createRecord({ id: 'b' });
+      const t1 = transaction.createRecord({ id: 't1', payer: 'a' });
+      transaction.createRecord({ id: 't2', payer: 'a' });
+      transaction.createRecord({ id: 't3', payer: 'a' });
+      t1.payer = 'b';
+      t1.payer = 'a';
+      expect(a.outgoing.pluck('id')).toEqual(['t1', 't2', 't3']);
+      expect(transaction.records.whereIndexed('payer', 'a').first.id).toBe(
+        't1'
+      );
+    });
+  });
 });
@@ -1,27 +1,19 @@
-import { describe, it, beforeEach, expect, beforeAll, afterAll, afterEach } from 'vitest';
+import { describe, it, beforeEach, expect, beforeAll, afterAll } from 'vitest';
 import { Schema } from '../src/schema.js';
-import { Model } from '../src/model.js';
+import { NameError } from '../src/errors.js';
 import symbols from '../src/symbols.js';
 
-const { $instances, $fields, $properties, $clearSchemaForTesting } = symbols;
+const { $fields, $properties } = symbols;
 
 describe('Schema', () => {
   let consoleWarn = console.warn;
 
   beforeAll(() => {
     global.console.warn = () => {};
-    Schema.config.experimentalAPIMessages = 'off';
   });
 
   afterAll(() => {
     global.console.warn = consoleWarn;
-    Schema.config.experimentalAPIMessages = 'warn';
-  });
-
-  afterEach(() => {
-    // Cleanup to avoid instances leaking to other tests
-    Model[$instances].clear();
-    Schema[$clearSchemaForTesting]();
   });
 
   it('throws if a model contains invalid or duplicate fields, properties or methods', () => {
@@ -100,6 +92,50 @@ describe('Schema', () => {
     ).toThrow();
   });
 
+  it('reserves record dirty tracking names only for fields, properties and methods', () => {
+    const createSchema = (modelData, relationships = []) =>
+      Schema.create({
+        models: [modelData, { name: 'other' }],
+        relationships,
+        config: { experimentalAPIMessages: 'off' },
+      });
+    expect(() =>
+      createSchema({ name: 'aModel', fields: { changes: 'string' } })
+    ).toThrowError(NameError);
+    expect(() =>
+      createSchema({ name: 'aModel', properties: { isDirty: () => true } })
+    ).toThrowError(NameError);
+    expect(() =>
+      createSchema({ name: 'aModel', methods: { revert: () => null } })
+    ).toThrowError(NameError);
+    expect(() =>
+      createSchema({ name: 'aModel' }, [
+        {
+          from: { model: 'aModel', name: 'markClean' },
+          to: 'other',
+          type: 'oneToOne',
+        },
+      ])
+    ).toThrowError(NameError);
+
+    const schema = Schema.create({
+      models: [
+        {
+          name: 'changes',
+          fields: { name: 'string' },
+          scopes: { revert: record => record.name === 'a' },
+        },
+      ],
+      serializers: [{ name: 'markClean', attributes: ['name'] }],
+      config: { experimentalAPIMessages: 'off' },
+    });
+    const record = schema
+      .getModel('changes')
+      .createRecord({ id: 'a', name: 'a' });
+    expect(record.isDirty).toBe(true);
+    expect(schema.getModel('changes').records.revert.count).toBe(1);
+  });
+
   describe('when arguments are valid', () => {
     let schema;
 
@@ -118,12 +154,52 @@ describe('Schema', () => {
     });
 
     it('creates a schema with the appropriate config', () => {
-      expect(Schema.config.experimentalAPIMessages).toBe('off');
+      expect(schema.config.experimentalAPIMessages).toBe('off');
+    });
+
+    it('creates independent schema instances', () => {
+      const otherSchema = Schema.create({
+        models: [{ name: 'aModel' }, { name: 'bModel' }],
+      });
+      expect(otherSchema).not.toBe(schema);
+      expect(otherSchema.config.experimentalAPIMessages).toBe('warn');
+      expect(schema.models.has('bModel')).toBe(false);
+
+      otherSchema.getModel('aModel').createRecord({ id: 'x' });
+      expect(otherSchema.get('aModel.x').id).toBe('x');
+      expect(schema.get('aModel.x')).toBeUndefined();
+    });
+
+    it('passes the correct schema object to properties and methods', () => {
+      const createSchema = name =>
+        Schema.create({
+          models: [
+            { name },
+            {
+              name: 'eModel',
+              properties: {
+                prop: (rec, { models }) => Object.keys(models).join(),
+              },
+              methods: {
+                method: (rec, { models }) => Object.keys(models).join(),
+              },
+            },
+          ],
+        });
+      const recordA = createSchema('cModel')
+        .getModel('eModel')
+        .createRecord({ id: 'x' });
+      const recordB = createSchema('dModel')
+        .getModel('eModel')
+        .createRecord({ id: 'x' });
+      expect(recordA.prop).toBe('cModel,eModel');
+      expect(recordA.method()).toBe('cModel,eModel');
+      expect(recordB.prop).toBe('dModel,eModel');
+      expect(recordB.method()).toBe('dModel,eModel');
     });
 
     it('creates lazy properties and methods correctly', () => {
       let count = 0;
-      Schema[$clearSchemaForTesting]();
       schema = Schema.create({
         models: [
           { name: 'cModel' },
@@ -156,7 +232,6 @@ describe('Schema', () => {
     });
 
     it('creates lazy serializer methods correctly', () => {
-      Schema[$clearSchemaForTesting]();
       schema = Schema.create({
         models: [{ name: 'cModel' }],
         serializers: [
@@ -176,6 +251,12 @@ describe('Schema', () => {
   });
 
   describe('#createModel', () => {
+    it('throws if a model with the same name already exists', () => {
+      expect(() =>
+        Schema.create({ models: [{ name: 'aModel' }, { name: 'aModel' }] })
+      ).toThrow();
+    });
+
     it('throws the model name is invalid', () => {
       expect(() => Schema.create({ models: [{ name: null }] })).toThrow();
       expect(() => Schema.create({ models: [{ name: undefined }] })).toThrow();
@@ -186,6 +267,104 @@ describe('Schema', () => {
     });
   });
 
+  describe('#createType', () => {
+    it('throws if the type is invalid', () => {
+      expect(() => Schema.create({ types: { '1type': () => true } })).toThrow();
+      expect(() => Schema.create({ types: { string: () => true } })).toThrow();
+      expect(() => Schema.create({ types: { email: 'string' } })).toThrow();
+    });
+
+    it('throws if a field uses an unknown type', () => {
+      expect(() =>
+        Schema.create({
+          types: { email: () => true },
+          models: [{ name: 'aModel', fields: { url: 'url' } }],
+        })
+      ).toThrow();
+    });
+
+    it('creates fields with the custom types', () => {
+      const schema = Schema.create({
+        types: {
+          email: value => typeof value === 'string' && value.includes('@'),
+          percentage: value => Number.isInteger(value) && value <= 100,
+        },
+        models: [
+          {
+            name: 'aModel',
+            fields: {
+              email: 'email',
+              score: { type: 'percentage', default: 0 },
+            },
+          },
+        ],
+      });
+      const model = schema.getModel('aModel');
+      const record = model.createRecord({ id: 'a', email: 'a@b.c' });
+      expect(record.score).toBe(0);
+      expect(() => model.createRecord({ id: 'b', email: 'ab' })).toThrow(
+        /expected type email/
+      );
+      expect(() => (record.score = 101)).toThrow(/expected type percentage/);
+    });
+
+    it('does not share custom types between schemas', () => {
+      Schema.create({ types: { email: () => true } });
+      expect(() =>
+        Schema.create({ models: [{ name: 'aModel', fields: { a: 'email' } }] })
+      ).toThrow();
+    });
+  });
+
+  describe('events', () => {
+    let schema;
+    let events;
+    const listener = event => events.push(event);
+
+    beforeEach(() => {
+      events = [];
+      schema = Schema.create({
+        models: [
+          { name: 'aModel', fields: { name: 'string' } },
+          { name: 'bModel' },
+        ],
+      });
+    });
+
+    it('emits record events of all models', () => {
+      schema.on('create', listener).on('update', listener);
+      schema.on('remove', listener);
+      const record = schema.getModel('aModel').createRecord({ id: 'a' });
+      schema.getModel('bModel').createRecord({ id: 'b' });
+      record.name = 'aName';
+      schema.getModel('bModel').removeRecord('b');
+      expect(events.map(({ type, model }) => [type, model.name])).toEqual([
+        ['create', 'aModel'],
+        ['create', 'bModel'],
+        ['update', 'aModel'],
+        ['remove', 'bModel'],
+      ]);
+    });
+
+    it('supports "once" and "off" listeners', () => {
+      schema.once('create', listener);
+      schema.getModel('aModel').createRecord({ id: 'a' });
+      schema.getModel('aModel').createRecord({ id: 'b' });
+      expect(events).toHaveLength(1);
+
+      schema.on('remove', listener).off('remove', listener);
+      schema.getModel('aModel').removeRecord('a');
+      expect(events).toHaveLength(1);
+    });
+
+    it('does not emit events of other schemas', () => {
+      const otherSchema = Schema.create({ models: [{ name: 'aModel' }] });
+      schema.on('create', listener);
+      otherSchema.getModel('aModel').createRecord({ id: 'a' });
+      expect(events).toHaveLength(0);
+    });
+  });
+
   describe('getModel', () => {
     let schema;
 
@@ -287,6 +466,670 @@ describe('Schema', () => {
     });
   });
 
+  describe('transaction', () => {
+    let schema;
+    let person;
+    let transaction;
+
+    beforeEach(() => {
+      schema = Schema.create({
+        models: [
+          {
+            name: 'person',
+            fields: {
+              name: 'string',
+              age: 'number',
+              username: { type: 'string', unique: true },
+            },
+            indexes: { age: 'sorted' },
+            properties: {
+              nameUpper: {
+                body: record => record.name.toUpperCase(),
+                cache: true,
+              },
+            },
+          },
+          { name: 'transaction', fields: { amount: 'number' } },
+        ],
+        relationships: [
+          {
+            from: { model: 'transaction', name: 'payer' },
+            to: { model: 'person', name: 'outgoing' },
+            type: 'manyToOne',
+            onDelete: 'cascade',
+          },
+        ],
+      });
+      person = schema.getModel('person');
+      transaction = schema.getModel('transaction');
+      person.createRecord({ id: 'p1', name: 'John', age: 20, username: 'jd' });
+      person.createRecord({ id: 'p2', name: 'Jane', age: 30, username: 'js' });
+      transaction.createRecord({ id: 't1', amount: 10, payer: 'p1' });
+    });
+
+    it('throws if the callback is not a function', () => {
+      expect(() => schema.transaction(null)).toThrow();
+    });
+
+    it('commits all changes and returns the result of the callback', () => {
+      const result = schema.transaction(s => {
+        s.getModel('person').createRecord({ id: 'p3', name: 'Jim' });
+        person.updateRecord('p1', { age: 21 });
+        person.removeRecord('p2');
+        return 'done';
+      });
+      expect(result).toBe('done');
+      expect(person.records.pluck('id')).toEqual(['p1', 'p3']);
+      expect(person.records.get('p1').age).toBe(21);
+    });
+
+    it('rolls back all changes if the callback throws', () => {
+      expect(() =>
+        schema.transaction(() => {
+          person.createRecord({ id: 'p3', name: 'Jim', username: 'jim' });
+          person.records.get('p2').age = 35;
+          person.records.get('p2').username = 'jane';
+          person.removeRecord('p1');
+          transaction.createRecord({ id: 't2', amount: 20, payer: 'p2' });
+          person.records.get('p2').age = 'forty';
+        })
+      ).toThrowError(TypeError);
+
+      expect(person.records.pluck('id')).toEqual(['p1', 'p2']);
+      expect(person.records.get('p2').age).toBe(30);
+      expect(person.records.get('p2').username).toBe('js');
+      expect(transaction.records.pluck('id')).toEqual(['t1']);
+      expect(transaction.records.get('t1').payer.id).toBe('p1');
+    });
+
+    it('restores indexes and unique constraints on rollback', () => {
+      expect(() =>
+        schema.transaction(() => {
+          person.records.get('p2').age = 40;
+          person.records.get('p1').username = 'john';
+          person.createRecord({ id: 'p3', username: 'jd' });
+          throw new Error('Abort');
+        })
+      ).toThrow('Abort');
+
+      expect(
+        person.records.whereIndexedRange('age', { gte: 30 }).pluck('id')
+      ).toEqual(['p2']);
+      expect(person.findBy('username', 'jd').id).toBe('p1');
+      expect(person.findBy('username', 'john')).toBeUndefined();
+      expect(() => person.createRecord({ id: 'p3', username: 'jd' })).toThrow();
+    });
+
+    it('defers events until the transaction is committed', () => {
+      const events = [];
+      schema.on('create', ({ record }) => events.push(record.id));
+      schema.transaction(() => {
+        person.createRecord({ id: 'p3' });
+        expect(events).toEqual([]);
+      });
+      expect(events).toEqual(['p3']);
+    });
+
+    it('discards events if the transaction is rolled back', () => {
+      const events = [];
+      schema.on('update', ({ record }) => events.push(record.id));
+      expect(() =>
+        schema.transaction(() => {
+          person.records.get('p1').age = 25;
+          throw new Error('Abort');
+        })
+      ).toThrow();
+      expect(events).toEqual([]);
+    });
+
+    it('defers invalidation of cached properties until commit', () => {
+      const record = person.records.get('p1');
+      expect(record.nameUpper).toBe('JOHN');
+      schema.transaction(() => {
+        record.name = 'Johnny';
+        expect(record.nameUpper).toBe('JOHN');
+      });
+      expect(record.nameUpper).toBe('JOHNNY');
+    });
+
+    it('only rolls back the changes of a failed nested transaction', () => {
+      schema.transaction(() => {
+        person.createRecord({ id: 'p3' });
+        try {
+          schema.transaction(() => {
+            person.createRecord({ id: 'p4' });
+            throw new Error('Abort');
+          });
+        } catch (e) {
+          // Continue with the outer transaction
+        }
+      });
+      expect(person.records.pluck('id')).toEqual(['p1', 'p2', 'p3']);
+    });
+
+    it('rolls back each failed record of bulk operations individually', () => {
+      const events = [];
+      const otherSchema = Schema.create({
+        models: [
+          {
+            name: 'aModel',
+            fields: { name: 'string' },
+            hooks: {
+              afterCreate: record => {
+                if (record.name === 'invalid') throw new Error('Invalid');
+              },
+            },
+          },
+        ],
+      });
+      otherSchema.on('create', ({ record }) => events.push(record.id));
+      const { created, failed } = otherSchema.getModel('aModel').createRecords([
+        { id: 'a', name: 'valid' },
+        { id: 'b', name: 'invalid' },
+      ]);
+      expect(created.map(record => record.id)).toEqual(['a']);
+      expect(failed[0].error.message).toBe('Invalid');
+      expect(otherSchema.getModel('aModel').records.pluck('id')).toEqual(['a']);
+      expect(events).toEqual(['a']);
+    });
+
+    it('removes records and their cascades atomically', () => {
+      const createSchema = hooks =>
+        Schema.create({
+          models: [
+            { name: 'person' },
+            { name: 'tx', hooks },
+            { name: 'receipt' },
+          ],
+          relationships: [
+            {
+              from: { model: 'tx', name: 'payer' },
+              to: { model: 'person', name: 'txs' },
+              type: 'manyToOne',
+              onDelete: 'cascade',
+            },
+            {
+              from: { model: 'receipt', name: 'tx' },
+              to: { model: 'tx', name: 'receipts' },
+              type: 'manyToOne',
+              onDelete: 'restrict',
+            },
+          ],
+        });
+      const populate = otherSchema => {
+        otherSchema.getModel('person').createRecord({ id: 'a' });
+        otherSchema.getModel('tx').createRecord({ id: 't1', payer: 'a' });
+        otherSchema.getModel('tx').createRecord({ id: 't2', payer: 'a' });
+        otherSchema.getModel('receipt').createRecord({ id: 'r1', tx: 't2' });
+        return otherSchema;
+      };
+
+      const restricted = populate(createSchema());
+      expect(() => restricted.getModel('person').removeRecord('a')).toThrow(
+        'tx record t2 cannot be removed'
+      );
+      expect(restricted.getModel('person').records.pluck('id')).toEqual(['a']);
+      expect(restricted.getModel('tx').records.pluck('id')).toEqual([
+        't1',
+        't2',
+      ]);
+      expect(restricted.get('tx.t2.payer.id')).toBe('a');
+
+      const failing = populate(
+        createSchema({
+          beforeRemove: record => {
+            if (record.id === 't2') throw new Error('Cannot remove t2');
+          },
+        })
+      );
+      failing.getModel('receipt').removeRecord('r1');
+      expect(() => failing.getModel('person').removeRecord('a')).toThrow(
+        'Cannot remove t2'
+      );
+      expect(failing.getModel('person').records.pluck('id')).toEqual(['a']);
+      expect(failing.getModel('tx').records.pluck('id')).toEqual(['t1', 't2']);
+    });
+
+    it('throws and rolls back if the callback is asynchronous', () => {
+      expect(() =>
+        schema.transaction(async () => {
+          person.createRecord({ id: 'p3' });
+        })
+      ).toThrowError(TypeError);
+      expect(person.records.has('p3')).toBe(false);
+    });
+  });
+
+  describe('history', () => {
+    let schema;
+    let person;
+
+    beforeEach(() => {
+      schema = Schema.create({
+        models: [
+          {
+            name: 'person',
+            fields: { name: 'string', age: 'number' },
+            indexes: { age: 'sorted' },
+            properties: {
+              nameUpper: {
+                body: record => record.name.toUpperCase(),
+                cache: true,
+              },
+            },
+          },
+          { name: 'transaction', fields: { amount: 'number' } },
+        ],
+        relationships: [
+          {
+            from: { model: 'transaction', name: 'payer' },
+            to: { model: 'person', name: 'outgoing' },
+            type: 'manyToOne',
+            onDelete: 'cascade',
+          },
+        ],
+        config: { history: true },
+      });
+      person = schema.getModel('person');
+    });
+
+    it('throws if history is not enabled', () => {
+      const otherSchema = Schema.create({});
+      expect(() => otherSchema.undo()).toThrowError(ReferenceError);
+      expect(() => otherSchema.history).toThrowError(ReferenceError);
+    });
+
+    it('throws if used during a transaction', () => {
+      expect(() => schema.transaction(() => schema.undo())).toThrow();
+    });
+
+    it('records bulk operations as a single entry', () => {
+      person.createRecord({ id: 'p0', name: 'Jim', age: 40 });
+      const { failed } = person.createRecords([
+        { id: 'p1', name: 'John', age: 20 },
+        { id: 'p2', name: 'Jane', age: 30 },
+        { id: 'p0', name: 'Jim' },
+      ]);
+      expect(failed.length).toBe(1);
+      person.upsertRecords([
+        { id: 'p1', age: 21 },
+        { id: 'p3', name: 'Jill', age: 25 },
+      ]);
+      person.removeRecords(['p0', 'p2', 'p4']);
+      expect(schema.history.past.map(entry => entry.length)).toEqual([
+        1, 2, 2, 2,
+      ]);
+
+      schema.undo();
+      expect(person.records.pluck('id')).toEqual(['p0', 'p1', 'p2', 'p3']);
+      schema.undo();
+      expect(person.records.pluck('id')).toEqual(['p0', 'p1', 'p2']);
+      expect(person.records.get('p1').age).toBe(20);
+      schema.undo();
+      expect(person.records.pluck('id')).toEqual(['p0']);
+      schema.redo();
+      expect(person.records.pluck('id')).toEqual(['p0', 'p1', 'p2']);
+    });
+
+    it('undoes and redoes created, updated and removed records', () => {
+      person.createRecord({ id: 'p1', name: 'John', age: 20 });
+      person.createRecord({ id: 'p2', name: 'Jane', age: 30 });
+      person.updateRecord('p1', { name: 'Johnny', age: 21 });
+      person.records.get('p2').age = 31;
+      person.removeRecord('p1');
+
+      expect(schema.undo()).toEqual([
+        { type: 'remove', model: 'person', recordId: 'p1' },
+      ]);
+      expect(person.records.pluck('id')).toEqual(['p1', 'p2']);
+      schema.undo();
+      expect(person.records.get('p2').age).toBe(30);
+      schema.undo();
+      expect(person.records.get('p1').name).toBe('John');
+      expect(person.records.get('p1').age).toBe(20);
+      schema.undo();
+      expect(person.records.pluck('id')).toEqual(['p1']);
+
+      schema.redo();
+      schema.redo();
+      expect(person.records.get('p1').name).toBe('Johnny');
+      expect(
+        person.records.whereIndexedRange('age', { gt: 20 }).pluck('id')
+      ).toEqual(['p1', 'p2']);
+    });
+
+    it('restores removed records in their original order', () => {
+      ['p1', 'p2', 'p3', 'p4', 'p5'].forEach(id =>
+        person.createRecord({ id, name: id })
+      );
+      person.removeRecords(['p4', 'p2', 'p1']);
+      expect(person.records.pluck('id')).toEqual(['p3', 'p5']);
+      schema.undo();
+      expect(person.records.pluck('id')).toEqual([
+        'p1',
+        'p2',
+        'p3',
+        'p4',
+        'p5',
+      ]);
+
+      schema.redo();
+      person.createRecord({ id: 'p6', name: 'p6' });
+      schema.undo();
+      schema.undo();
+      expect(person.records.pluck('id')).toEqual([
+        'p1',
+        'p2',
+        'p3',
+        'p4',
+        'p5',
+      ]);
+      schema.redo();
+      schema.redo();
+      expect(person.records.pluck('id')).toEqual(['p3', 'p5', 'p6']);
+    });
+
+    it('records cascading changes and transactions as a single entry', () => {
+      const transaction = schema.getModel('transaction');
+      schema.transaction(() => {
+        person.createRecord({ id: 'p1', name: 'John' });
+        transaction.createRecord({ id: 't1', payer: 'p1' });
+        transaction.createRecord({ id: 't2', payer: 'p1' });
+      });
+      person.removeRecord('p1');
+      expect(transaction.records.size).toBe(0);
+      expect(schema.history.past.map(entry => entry.length)).toEqual([3, 3]);
+
+      schema.undo();
+      expect(transaction.records.pluck('id')).toEqual(['t1', 't2']);
+      expect(transaction.records.get('t1').payer.id).toBe('p1');
+      schema.undo();
+      expect(person.records.size).toBe(0);
+      expect(transaction.records.size).toBe(0);
+    });
+
+    it('invalidates cached properties when undoing and redoing', () => {
+      const record = person.createRecord({ id: 'p1', name: 'John' });
+      record.name = 'Jane';
+      expect(record.nameUpper).toBe('JANE');
+      schema.undo();
+      expect(record.nameUpper).toBe('JOHN');
+      schema.redo();
+      expect(record.nameUpper).toBe('JANE');
+    });
+
+    it('emits record events when undoing and redoing', () => {
+      const events = [];
+      ['create', 'update', 'remove'].forEach(eventName =>
+        schema.on(eventName, ({ type, record, changes }) =>
+          events.push([type, record.id, changes, person.records.size])
+        )
+      );
+      const record = person.createRecord({ id: 'p1', name: 'John' });
+      record.name = 'Jane';
+      person.createRecord({ id: 'p2', name: 'Jim' });
+      events.length = 0;
+
+      schema.undo();
+      schema.undo();
+      expect(events).toEqual([
+        ['remove', 'p2', undefined, 1],
+        ['update', 'p1', { name: ['Jane', 'John'] }, 1],
+      ]);
+      schema.checkpoint('created');
+      events.length = 0;
+
+      schema.redo();
+      schema.redo();
+      expect(events).toEqual([
+        ['update', 'p1', { name: ['John', 'Jane'] }, 1],
+        ['create', 'p2', undefined, 2],
+      ]);
+      events.length = 0;
+      schema.restore('created');
+      // Events are emitted once all entries have been undone
+      expect(events).toEqual([
+        ['remove', 'p2', undefined, 1],
+        ['update', 'p1', { name: ['Jane', 'John'] }, 1],
+      ]);
+      events.length = 0;
+      // Changes rolled back by a transaction do not emit events
+      expect(() =>
+        schema.transaction(() => {
+          record.name = 'Janet';
+          throw new Error('Abort');
+        })
+      ).toThrow();
+      expect(events).toEqual([]);
+    });
+
+    it('does not record rolled back transactions', () => {
+      person.createRecord({ id: 'p1', name: 'John' });
+      expect(() =>
+        schema.transaction(() => {
+          person.createRecord({ id: 'p2', name: 'Jane' });
+          throw new Error('Abort');
+        })
+      ).toThrow();
+      expect(schema.history.past.length).toBe(1);
+    });
+
+    it('restores named checkpoints', () => {
+      person.createRecord({ id: 'p1', name: 'John' });
+      expect(schema.checkpoint('before-import')).toBe(schema);
+      person.createRecord({ id: 'p2', name: 'Jane' });
+      person.createRecord({ id: 'p3', name: 'Jim' });
+      schema.checkpoint('after-import');
+
+      schema.restore('before-import');
+      expect(person.records.pluck('id')).toEqual(['p1']);
+      schema.restore('after-import');
+      expect(person.records.pluck('id')).toEqual(['p1', 'p2', 'p3']);
+      expect(schema.history.checkpoints).toEqual([
+        'before-import',
+        'after-import',
+      ]);
+    });
+  });
+
+  describe('validateIntegrity', () => {
+    let schema;
+
+    beforeEach(() => {
+      schema = Schema.create({
+        models: [{ name: 'aModel' }, { name: 'bModel' }],
+        relationships: [
+          {
+            from: { model: 'bModel', name: 'parent' },
+            to: { model: 'aModel', name: 'children' },
+            type: 'manyToOne',
+          },
+          {
+            from: { model: 'aModel', name: 'friends' },
+            to: { model: 'bModel', name: 'friendOf' },
+            type: 'manyToMany',
+          },
+        ],
+      });
+      const aModel = schema.getModel('aModel');
+      const bModel = schema.getModel('bModel');
+      aModel.createRecord({ id: 'a1', friends: ['b1', 'b3'] });
+      bModel.createRecord({ id: 'b1', parent: 'a1' });
+      bModel.createRecord({ id: 'b2', parent: 'a2' });
+    });
+
+    it('reports every dangling reference', () => {
+      expect(schema.validateIntegrity()).toEqual([
+        {
+          model: 'bModel',
+          recordId: 'b2',
+          field: 'parent',
+          target: 'aModel',
+          missingId: 'a2',
+        },
+        {
+          model: 'aModel',
+          recordId: 'a1',
+          field: 'friends',
+          target: 'bModel',
+          missingId: 'b3',
+        },
+      ]);
+    });
+
+    it('returns an empty array if there are no dangling references', () => {
+      schema.getModel('aModel').createRecord({ id: 'a2' });
+      schema.getModel('bModel').createRecord({ id: 'b3' });
+      expect(schema.validateIntegrity()).toEqual([]);
+    });
+  });
+
+  describe('dump and load', () => {
+    const createSchema = () =>
+      Schema.create({
+        models: [
+          {
+            name: 'transaction',
+            fields: { amount: 'number', date: 'date' },
+          },
+          {
+            name: 'person',
+            fields: { name: 'string', holidays: 'dateArray' },
+          },
+          { name: 'role', fields: { name: 'string' } },
+        ],
+        relationships: [
+          {
+            from: { model: 'transaction', name: 'payer' },
+            to: { model: 'person', name: 'outgoing' },
+            type: 'manyToOne',
+            integrity: 'strict',
+          },
+          {
+            from: { model: 'person', name: 'role' },
+            to: { model: 'role', name: 'people' },
+            type: 'manyToOne',
+            integrity: 'strict',
+          },
+          {
+            from: { model: 'person', name: 'manager' },
+            to: { model: 'person', name: 'reports' },
+            type: 'manyToOne',
+            integrity: 'strict',
+          },
+        ],
+      });
+
+    let schema;
+
+    beforeEach(() => {
+      schema = createSchema();
+      schema.getModel('role').createRecord({ id: 'r1', name: 'Admin' });
+      const person = schema.getModel('person');
+      person.createRecord({
+        id: 'p1',
+        name: 'John',
+        role: 'r1',
+        holidays: [new Date('2024-12-25')],
+      });
+      person.createRecord({ id: 'p2', name: 'Jane', manager: 'p1' });
+      schema.getModel('transaction').createRecord({
+        id: 't1',
+        amount: 10,
+        date: new Date('2024-01-01T10:00:00Z'),
+        payer: 'p2',
+      });
+    });
+
+    it('dumps the records of every model', () => {
+      expect(schema.toJSON()).toEqual({
+        transaction: [
+          {
+            id: 't1',
+            amount: 10,
+            date: new Date('2024-01-01T10:00:00Z'),
+            payer: 'p2',
+          },
+        ],
+        person: [
+          {
+            id: 'p1',
+            name: 'John',
+            role: 'r1',
+            holidays: [new Date('2024-12-25')],
+          },
+          {
+            id: 'p2',
+            name: 'Jane',
+            manager: 'p1',
+            holidays: null,
+          },
+        ],
+        role: [{ id: 'r1', name: 'Admin' }],
+      });
+      expect(schema.dump()).toBe(JSON.stringify(schema.toJSON()));
+    });
+
+    it('loads records in dependency order, round-tripping dates', () => {
+      const otherSchema = createSchema();
+      expect(otherSchema.load(schema.dump())).toBe(otherSchema);
+
+      const transaction = otherSchema.get('transaction.t1');
+      expect(transaction.date).toEqual(new Date('2024-01-01T10:00:00Z'));
+      expect(transaction.payer.name).toBe('Jane');
+      expect(transaction.payer.manager.role.name).toBe('Admin');
+      expect(otherSchema.get('person.p1').holidays).toEqual([
+        new Date('2024-12-25'),
+      ]);
+      expect(otherSchema.dump()).toBe(schema.dump());
+    });
+
+    it('round-trips empty dates and date arrays', () => {
+      schema.getModel('transaction').createRecord({ id: 't2', amount: 5 });
+      schema.get('person.p1').holidays = [
+        new Date('2024-12-25'),
+        new Date('2024-12-31T12:00:00Z'),
+      ];
+      const otherSchema = createSchema().load(schema.dump());
+
+      expect(otherSchema.get('transaction.t2').date).toBe(null);
+      expect(otherSchema.get('person.p2').holidays).toBe(null);
+      const holidays = otherSchema.get('person.p1').holidays;
+      expect(holidays.every(date => date instanceof Date)).toBe(true);
+      expect(holidays).toEqual([
+        new Date('2024-12-25'),
+        new Date('2024-12-31T12:00:00Z'),
+      ]);
+    });
+
+    it('marks loaded records as clean if specified', () => {
+      const otherSchema = createSchema().load(schema.dump());
+      expect(otherSchema.getModel('person').records.dirty.size).toBe(2);
+      const cleanSchema = createSchema().load(schema.dump(), {
+        markClean: true,
+      });
+      expect(cleanSchema.getModel('person').records.dirty.size).toBe(0);
+      expect(cleanSchema.get('person.p1').isDirty).toBe(false);
+    });
+
+    it('rolls back if the data contains dangling references', () => {
+      const otherSchema = createSchema();
+      const data = schema.toJSON();
+      data.person[1].manager = 'p3';
+      expect(() => otherSchema.load(data)).toThrowError(
+        'Loaded data contains 1 dangling reference(s), e.g. person record p2 references missing person record p3 in field manager.'
+      );
+      expect(otherSchema.getModel('person').records.size).toBe(0);
+      expect(otherSchema.getModel('role').records.size).toBe(0);
+    });
+
+    it('throws if the data is invalid', () => {
+      expect(() => schema.load([])).toThrowError(TypeError);
+      expect(() => schema.load({ person: {} })).toThrowError(TypeError);
+      expect(() => schema.load({ account: [] })).toThrowError(ReferenceError);
+    });
+  });
+
   describe('#createSerializer', () => {
     beforeEach(() => {
       Schema.create({
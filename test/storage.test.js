@@ -0,0 +1,206 @@
+import { describe, it, beforeEach, expect } from 'vitest';
+import {
+  validateStorage,
+  toStorageChange,
+  applyStorageChanges,
+} from '../src/storage.js';
+import { Schema } from '../src/schema.js';
+import { KeyValueStorage, MemoryStore } from '../src/key_value_storage.js';
+
+describe('validateStorage', () => {
+  it('returns null if no storage is given', () => {
+    expect(validateStorage(undefined)).toBe(null);
+    expect(validateStorage(null)).toBe(null);
+  });
+
+  it('throws if the storage does not implement the contract', () => {
+    expect(() => validateStorage('storage')).toThrowError(TypeError);
+    expect(() => validateStorage({ load() {}, save() {} })).toThrowError(
+      'Storage method clear is not a function.'
+    );
+  });
+});
+
+describe('applyStorageChanges', () => {
+  it('applies changes to records grouped by model', () => {
+    const recordsByModel = new Map([
+      ['Person', new Map([['p1', { id: 'p1', name: 'John' }]])],
+    ]);
+    const modelNames = applyStorageChanges(recordsByModel, [
+      { type: 'create', model: 'Role', id: 'r1', record: { id: 'r1' } },
+      {
+        type: 'update',
+        model: 'Person',
+        id: 'p1',
+        record: { id: 'p1', name: 'Johnny' },
+      },
+      { type: 'remove', model: 'Role', id: 'r1' },
+    ]);
+    expect([...modelNames]).toEqual(['Role', 'Person']);
+    expect(recordsByModel.get('Person').get('p1').name).toBe('Johnny');
+    expect(recordsByModel.get('Role').size).toBe(0);
+  });
+});
+
+describe('Schema storage', () => {
+  let storage;
+  let schema;
+  let Person;
+
+  const createStorage = () => {
+    const saved = [];
+    return {
+      saved,
+      records: [{ id: 'p1', name: 'John', joined: '2024-01-01' }],
+      load(model) {
+        return model.name === 'Person' ? this.records : null;
+      },
+      async save(changes) {
+        if (changes.some(({ id }) => id === 'fail'))
+          throw new Error('Save failed');
+        saved.push(changes);
+      },
+      clear() {
+        this.records = null;
+      },
+    };
+  };
+
+  beforeEach(async () => {
+    storage = createStorage();
+    schema = Schema.create({
+      models: [
+        { name: 'Person', fields: { name: 'string', joined: 'date' } },
+        { name: 'Role', fields: { name: 'string' } },
+      ],
+      storage,
+    });
+    Person = schema.getModel('Person');
+    await schema.hydrate();
+  });
+
+  it('throws if the storage is invalid or not set', async () => {
+    expect(() => Schema.create({ storage: {} })).toThrowError(TypeError);
+    await expect(Schema.create().hydrate()).rejects.toThrowError(
+      ReferenceError
+    );
+    await expect(Schema.create().flushStorage()).rejects.toThrowError(
+      ReferenceError
+    );
+  });
+
+  it('loads records without saving them back', async () => {
+    expect(Person.records.get('p1').joined).toEqual(new Date('2024-01-01'));
+    await schema.flushStorage();
+    expect(storage.saved).toEqual([]);
+  });
+
+  it('marks loaded records as clean', () => {
+    expect(Person.records.dirty.size).toBe(0);
+    Person.records.get('p1').name = 'Johnny';
+    expect(Person.records.dirty.pluck('id')).toEqual(['p1']);
+  });
+
+  it('saves the changes of each operation or transaction together', async () => {
+    Person.createRecord({ id: 'p2', name: 'Jane' });
+    Person.records.get('p2').name = 'Janet';
+    await schema.flushStorage();
+    schema.transaction(() => {
+      Person.removeRecord('p1');
+      schema.getModel('Role').createRecord({ id: 'r1', name: 'Admin' });
+    });
+    expect(await schema.flushStorage()).toBe(schema);
+
+    expect(storage.saved).toEqual([
+      [
+        {
+          type: 'create',
+          model: 'Person',
+          id: 'p2',
+          record: { id: 'p2', name: 'Jane', joined: null },
+        },
+        {
+          type: 'update',
+          model: 'Person',
+          id: 'p2',
+          record: { id: 'p2', name: 'Janet', joined: null },
+          changes: { name: ['Jane', 'Janet'] },
+        },
+      ],
+      [
+        { type: 'remove', model: 'Person', id: 'p1' },
+        {
+          type: 'create',
+          model: 'Role',
+          id: 'r1',
+          record: { id: 'r1', name: 'Admin' },
+        },
+      ],
+    ]);
+  });
+
+  it('does not save rolled back changes', async () => {
+    expect(() =>
+      schema.transaction(() => {
+        Person.createRecord({ id: 'p2', name: 'Jane' });
+        throw new Error('Abort');
+      })
+    ).toThrow();
+    await schema.flushStorage();
+    expect(storage.saved).toEqual([]);
+  });
+
+  it('rejects with errors that occurred while saving changes', async () => {
+    Person.createRecord({ id: 'fail', name: 'Jane' });
+    await expect(schema.flushStorage()).rejects.toThrowError('Save failed');
+    Person.createRecord({ id: 'p3', name: 'Jim' });
+    await schema.flushStorage();
+    expect(storage.saved.length).toBe(1);
+  });
+
+  it('saves changes made by undoing and redoing', async () => {
+    const store = new MemoryStore();
+    const historySchema = Schema.create({
+      models: [{ name: 'Person', fields: { name: 'string' } }],
+      storage: new KeyValueStorage({ store }),
+      config: { history: true },
+    });
+    historySchema.getModel('Person').createRecord({ id: 'p1', name: 'John' });
+    await historySchema.flushStorage();
+    expect(JSON.parse(store.getItem('jsiqle:Person')).length).toBe(1);
+
+    historySchema.undo();
+    await historySchema.flushStorage();
+    expect(JSON.parse(store.getItem('jsiqle:Person'))).toEqual([]);
+    historySchema.redo();
+    await historySchema.flushStorage();
+    expect(JSON.parse(store.getItem('jsiqle:Person'))).toEqual([
+      { id: 'p1', name: 'John' },
+    ]);
+  });
+
+  it('clears the storage', async () => {
+    expect(await schema.clearStorage()).toBe(schema);
+    expect(storage.records).toBe(null);
+    expect(Person.records.size).toBe(1);
+  });
+});
+
+describe('toStorageChange', () => {
+  it('does not share values with the record', () => {
+    const schema = Schema.create({
+      models: [{ name: 'Person', fields: { tags: 'stringArray' } }],
+    });
+    const record = schema.getModel('Person').createRecord({
+      id: 'p1',
+      tags: ['a'],
+    });
+    const change = toStorageChange({
+      type: 'create',
+      model: schema.getModel('Person'),
+      record,
+    });
+    change.record.tags.push('b');
+    expect(record.tags).toEqual(['a']);
+  });
+});
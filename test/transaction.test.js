@@ -0,0 +1,45 @@
+import { describe, it, beforeEach, expect } from 'vitest';
+import { Transaction } from '../src/transaction.js';
+
+describe('Transaction', () => {
+  let transaction;
+  let log;
+
+  const createChange = name => ({
+    undo: () => log.push(`undo ${name}`),
+    redo: () => log.push(`redo ${name}`),
+    description: { name },
+  });
+
+  beforeEach(() => {
+    transaction = new Transaction();
+    log = [];
+    transaction.addChange(createChange('1'));
+    transaction.defer(() => log.push('deferred 1'));
+  });
+
+  it('calls deferred actions in order on commit and returns the changes', () => {
+    transaction.defer(() => log.push('deferred 2'));
+    const changes = transaction.commit();
+    expect(log).toEqual(['deferred 1', 'deferred 2']);
+    expect(changes.map(({ description }) => description)).toEqual([
+      { name: '1' },
+    ]);
+  });
+
+  it('calls undo actions in reverse order on rollback', () => {
+    transaction.addChange(createChange('2'));
+    transaction.rollback();
+    expect(transaction.commit()).toEqual([]);
+    expect(log).toEqual(['undo 2', 'undo 1']);
+  });
+
+  it('only rolls back changes registered after the given savepoint', () => {
+    const savepoint = transaction.savepoint();
+    transaction.addChange(createChange('2'));
+    transaction.defer(() => log.push('deferred 2'));
+    transaction.rollback(savepoint);
+    expect(transaction.commit().length).toBe(1);
+    expect(log).toEqual(['undo 2', 'deferred 1']);
+  });
+});
@@ -1,6 +1,7 @@
 import { describe, it, expect } from 'vitest';
 import {
   deepClone,
+  slugify,
   validateName,
   validateObjectWithUniqueName,
 } from '../src/utils.js';
@@ -99,3 +100,11 @@ describe('validateName', () => {
     expect(() => validateName('toJSON')).toThrow();
   });
 });
+
+describe('slugify', () => {
+  it('converts a string to a slug', () => {
+    expect(slugify('Hello World')).toBe('hello-world');
+    expect(slugify('  Crème brûlée & co. ')).toBe('creme-brulee-co');
+    expect(slugify('---')).toBe('');
+  });
+});